@@ -8,140 +8,771 @@ let stockfish = null;
 let currentAnalysis = [];
 let apiKey = localStorage.getItem('anthropic_api_key') || (typeof CONFIG !== 'undefined' ? CONFIG.anthropicApiKey : '') || '';
 let analysisTimeout = null;
+let gameHeaders = {};
 
 // ============================================
-// Supabase Configuration
+// Cache
 // ============================================
-let supabaseClient = null;
+// Explanations and opening explorer responses go through one cache with
+// interchangeable backends. Every backend stores entries as
+// { namespace, key, value, createdAt }.
+const CACHE_BACKENDS = {
+    memory: 'Memory (this session only)',
+    indexeddb: 'IndexedDB (this browser)',
+    supabase: 'Supabase',
+    rest: 'REST endpoint'
+};
+const CACHE_NAMESPACES = { explanations: 'Explanations', explorer: 'Opening explorer', tablebase: 'Tablebase' };
+const EXPLORER_CACHE_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+// A player's games keep coming, so their stats go stale sooner
+const PLAYER_EXPLORER_CACHE_MAX_AGE = 60 * 60 * 1000;
+// Bump when the explanation prompt changes so older explanations are regenerated
+const EXPLANATION_PROMPT_VERSION = 2;
+
+let cacheBackend = null;
+// Namespaces the selected backend can't store are kept in memory instead
+let memoryCache = null;
+
+function createMemoryCache() {
+    const entries = new Map();
+    return {
+        name: 'memory',
+        async get(namespace, key) {
+            return entries.get(`${namespace}:${key}`) || null;
+        },
+        async set(namespace, key, value, meta) {
+            entries.set(`${namespace}:${key}`, { ...meta, namespace, key, value, createdAt: Date.now() });
+        },
+        async entries(namespace) {
+            return Array.from(entries.values()).filter(e => e.namespace === namespace);
+        },
+        async import(items) {
+            items.forEach(e => entries.set(`${e.namespace}:${e.key}`, e));
+        },
+        async clear(namespace) {
+            for (const [id, e] of entries) {
+                if (e.namespace === namespace) entries.delete(id);
+            }
+        }
+    };
+}
+
+function createIndexedDbCache() {
+    const store = async (mode) => (await openDatabase()).transaction('cache', mode).objectStore('cache');
+    return {
+        name: 'indexeddb',
+        async get(namespace, key) {
+            return (await idbRequest((await store()).get(`${namespace}:${key}`))) || null;
+        },
+        async set(namespace, key, value, meta) {
+            await idbRequest((await store('readwrite')).put({ ...meta, id: `${namespace}:${key}`, namespace, key, value, createdAt: Date.now() }));
+        },
+        async entries(namespace) {
+            return idbRequest((await store()).index('namespace').getAll(namespace));
+        },
+        async import(items) {
+            const cacheStore = await store('readwrite');
+            await Promise.all(items.map(e => idbRequest(cacheStore.put({ ...e, id: `${e.namespace}:${e.key}` }))));
+        },
+        async clear(namespace) {
+            const cacheStore = await store('readwrite');
+            const ids = await idbRequest(cacheStore.index('namespace').getAllKeys(namespace));
+            await Promise.all(ids.map(id => idbRequest(cacheStore.delete(id))));
+        }
+    };
+}
+
+// Explanations only, in the move_explanations table
+function createSupabaseCache(client) {
+    // Supabase returns at most 1000 rows per request
+    const pageSize = 1000;
+    const toEntry = (row) => ({
+        namespace: 'explanations',
+        key: row.cache_key,
+        value: normalizeExplanation(row.explanation),
+        fen: row.fen,
+        move: row.move,
+        model: row.model,
+        promptVersion: row.prompt_version,
+        eval: row.eval,
+        depth: row.depth,
+        createdAt: Date.parse(row.created_at)
+    });
+    const toRow = (e) => ({
+        cache_key: e.key,
+        fen: e.fen || '',
+        move: e.move || '',
+        // The column is TEXT, so structured explanations are stored as JSON
+        explanation: typeof e.value === 'string' ? e.value : JSON.stringify(e.value),
+        model: e.model || null,
+        prompt_version: e.promptVersion || null,
+        eval: e.eval || null,
+        depth: e.depth || null,
+        created_at: new Date(e.createdAt || Date.now()).toISOString()
+    });
+    return {
+        name: 'supabase',
+        namespaces: ['explanations'],
+        async get(namespace, key) {
+            const { data, error } = await client
+                .from('move_explanations')
+                .select('*')
+                .eq('cache_key', key)
+                .maybeSingle();
+            if (error) throw error;
+            return data ? toEntry(data) : null;
+        },
+        async set(namespace, key, value, meta) {
+            const { error } = await client
+                .from('move_explanations')
+                .upsert(toRow({ key, value, ...meta }), { onConflict: 'cache_key' });
+            if (error) throw error;
+        },
+        async entries() {
+            const rows = [];
+            for (let from = 0; ; from += pageSize) {
+                const { data, error } = await client
+                    .from('move_explanations')
+                    .select('*')
+                    .order('cache_key')
+                    .range(from, from + pageSize - 1);
+                if (error) throw error;
+                rows.push(...data);
+                if (data.length < pageSize) break;
+            }
+            return rows.map(toEntry);
+        },
+        async import(items) {
+            for (let i = 0; i < items.length; i += pageSize) {
+                const { error } = await client
+                    .from('move_explanations')
+                    .upsert(items.slice(i, i + pageSize).map(toRow), { onConflict: 'cache_key' });
+                if (error) throw error;
+            }
+        }
+        // No clear(): the table is shared, so it's only cleared from the
+        // Supabase dashboard rather than by any visitor
+    };
+}
+
+// Generic key/value service:
+//   GET    {url}/{namespace}/{key}  -> entry JSON, or 404
+//   PUT    {url}/{namespace}/{key}  <- entry JSON
+//   GET    {url}/{namespace}        -> array of entries
+//   DELETE {url}/{namespace}
+function createRestCache(url, headers) {
+    const base = url.replace(/\/$/, '');
+    const request = async (path, options = {}) => {
+        const response = await fetch(`${base}/${path}`, {
+            ...options,
+            headers: { 'Content-Type': 'application/json', ...headers, ...options.headers }
+        });
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error(`Cache error: ${response.status}`);
+        return response.status === 204 ? null : response.json();
+    };
+    const put = (e) => request(`${e.namespace}/${encodeURIComponent(e.key)}`, {
+        method: 'PUT',
+        body: JSON.stringify(e)
+    });
+    return {
+        name: 'rest',
+        get: (namespace, key) => request(`${namespace}/${encodeURIComponent(key)}`),
+        set: (namespace, key, value, meta) => put({ ...meta, namespace, key, value, createdAt: Date.now() }),
+        entries: async (namespace) => (await request(namespace)) || [],
+        import: (items) => Promise.all(items.map(put)),
+        clear: (namespace) => request(namespace, { method: 'DELETE' })
+    };
+}
+
+function getCacheConfig() {
+    return (typeof CONFIG !== 'undefined' && CONFIG.cache) || {};
+}
+
+async function initCache() {
+    memoryCache = createMemoryCache();
+    const config = getCacheConfig();
 
-async function initSupabase() {
     // Try config file first, then localStorage
     const url = (typeof CONFIG !== 'undefined' && CONFIG.supabase?.url) || localStorage.getItem('supabase_url') || '';
     const anonKey = (typeof CONFIG !== 'undefined' && CONFIG.supabase?.anonKey) || localStorage.getItem('supabase_anon_key') || '';
-
-    if (url && anonKey && window.supabase) {
+    // Existing setups with Supabase credentials keep using it
+    const backend = config.backend || (url && anonKey ? 'supabase' : 'indexeddb');
+
+    if (backend === 'memory') {
+        cacheBackend = memoryCache;
+    } else if (backend === 'rest' && config.restUrl) {
+        cacheBackend = createRestCache(config.restUrl, config.restHeaders || {});
+    } else if (backend === 'supabase' && url && anonKey && window.supabase) {
         const client = window.supabase.createClient(url, anonKey);
 
-        // Health check: probe with a timeout to verify connectivity
+        // Health check: probe with a timeout to verify connectivity, and that
+        // the table has the metadata columns every write includes
         try {
             const controller = new AbortController();
             const timeout = setTimeout(() => controller.abort(), 5000);
-            await client
+            const { error } = await client
                 .from('move_explanations')
-                .select('cache_key')
+                .select('cache_key, model, prompt_version, eval, depth')
                 .limit(1)
                 .abortSignal(controller.signal);
             clearTimeout(timeout);
-            supabaseClient = client;
+            if (error) throw error;
+            cacheBackend = createSupabaseCache(client);
             console.log('Supabase cache enabled');
+            await migrateLegacyExplanations(cacheBackend);
         } catch (e) {
-            console.warn('Supabase cache unavailable:', e.message);
-            supabaseClient = null;
-            const statusEl = document.getElementById('cacheStatus');
-            if (statusEl) statusEl.style.display = '';
+            cacheBackend = createIndexedDbCache();
+            // Postgres undefined_column
+            if (e.code === '42703') {
+                console.warn('Supabase table is missing the metadata columns, using IndexedDB:', e.message);
+                showCacheStatus('Supabase table needs upgrading', 'move_explanations is missing columns; see "Upgrading an existing table" in the README. Caching in this browser instead');
+            } else {
+                console.warn('Supabase cache unavailable, using IndexedDB:', e.message);
+                showCacheStatus('Supabase unavailable', 'Supabase could not be reached; caching in this browser instead');
+            }
+        }
+    } else {
+        if (backend !== 'indexeddb') console.warn(`Cache backend "${backend}" is not configured, using IndexedDB`);
+        cacheBackend = createIndexedDbCache();
+    }
+    if (cacheBackend.name !== 'supabase' && cacheBackend !== memoryCache) {
+        await migrateLegacyExplanations(cacheBackend);
+    }
+}
+
+function showCacheStatus(text, title) {
+    const el = document.getElementById('cacheStatus');
+    el.textContent = text;
+    el.title = title;
+    el.style.display = '';
+}
+
+// Explanations used to be keyed on piece placement and move only. Re-key the
+// ones that stored their full FEN; they were written with prompt version 1 and
+// are assumed to come from CONFIG.cache.legacyModel (default: the current model).
+// Legacy entries are left in place, so this runs once per backend in each
+// browser; entries another browser already copied are skipped.
+async function migrateLegacyExplanations(backend) {
+    const flag = `cache_migrated_${backend.name}`;
+    if (localStorage.getItem(flag)) return;
+
+    try {
+        const model = getCacheConfig().legacyModel || getLlmModel();
+        const entries = await backend.entries('explanations');
+        const keys = new Set(entries.map(e => e.key));
+        const migrated = entries
+            .filter(e => !e.key.includes('|') && e.fen && e.fen.includes(' ') && e.move)
+            .map(e => ({
+                ...e,
+                key: getCacheKey(e.fen, e.move, model, 1),
+                fen: normalizeFen(e.fen),
+                model,
+                promptVersion: 1
+            }))
+            .filter(e => {
+                if (keys.has(e.key)) return false;
+                keys.add(e.key);
+                return true;
+            });
+        if (migrated.length > 0) {
+            await backend.import(migrated);
+            console.log(`Migrated ${migrated.length} cached explanations`);
         }
+        localStorage.setItem(flag, '1');
+    } catch (e) {
+        console.warn('Cache migration failed:', e.message);
+    }
+}
+
+function getCacheBackend(namespace) {
+    if (!cacheBackend) return memoryCache;
+    if (cacheBackend.namespaces && !cacheBackend.namespaces.includes(namespace)) return memoryCache;
+    return cacheBackend;
+}
+
+// Cached value for a key, or null. Entries older than maxAge (ms) are ignored.
+async function cacheGet(namespace, key, maxAge) {
+    const backend = getCacheBackend(namespace);
+    if (!backend) return null;
+
+    try {
+        const entry = await backend.get(namespace, key);
+        if (!entry) return null;
+        if (maxAge && Date.now() - entry.createdAt > maxAge) return null;
+        return entry.value;
+    } catch (e) {
+        // Cache errors are not critical
+        console.warn('Cache read failed:', e.message);
+        return null;
+    }
+}
+
+async function cacheSet(namespace, key, value, meta) {
+    const backend = getCacheBackend(namespace);
+    if (!backend) return;
+
+    try {
+        await backend.set(namespace, key, value, meta);
+    } catch (e) {
+        console.warn('Cache write failed:', e.message);
     }
 }
 
-// Generate cache key from position and move
-function getCacheKey(fen, move) {
-    // Use just the board position part of FEN (first part before space)
-    // and the move for a unique key
-    const boardPart = fen.split(' ')[0];
-    return `${boardPart}_${move}`;
+// Generate cache key from the normalized position, move, model and prompt version
+function getCacheKey(fen, move, model = getLlmModel(), promptVersion = EXPLANATION_PROMPT_VERSION) {
+    return `${normalizeFen(fen)}|${move}|${model}|v${promptVersion}`;
+}
+
+// Explanations expire after CONFIG.cache.explanationTtlDays (0 = never)
+function getExplanationTtl() {
+    const days = getCacheConfig().explanationTtlDays || 0;
+    return days * DAY_MS;
 }
 
 // Check cache for existing explanation
 async function getExplanationFromCache(fen, move) {
-    if (!supabaseClient) return null;
+    const value = await cacheGet('explanations', getCacheKey(fen, move), getExplanationTtl());
+    return value ? normalizeExplanation(value) : null;
+}
+
+// Explanations are objects with EXPLANATION_FIELDS; text columns and entries
+// written before they were structured hold a string instead
+function normalizeExplanation(value) {
+    if (typeof value !== 'string') return value;
+    try {
+        const parsed = JSON.parse(value);
+        if (parsed && typeof parsed === 'object') return parsed;
+    } catch (e) {
+        // Plain text
+    }
+    return { idea: value };
+}
+
+// Store explanation in cache, with the engine line it was written for
+function saveExplanationToCache(fen, move, explanation, line) {
+    return cacheSet('explanations', getCacheKey(fen, move), explanation, {
+        fen: normalizeFen(fen),
+        move,
+        model: getLlmModel(),
+        promptVersion: EXPLANATION_PROMPT_VERSION,
+        eval: line?.eval,
+        depth: line?.depth
+    });
+}
+
+// ============================================
+// Cache Management
+// ============================================
+function openCacheModal() {
+    document.getElementById('cacheBackendName').textContent = CACHE_BACKENDS[cacheBackend?.name] || 'None';
+    document.getElementById('cacheMessage').textContent = '';
+    document.getElementById('cacheModal').classList.add('active');
+    renderCacheEntries();
+}
+
+function closeCacheModal() {
+    document.getElementById('cacheModal').classList.remove('active');
+}
 
+async function renderCacheEntries() {
+    const namespace = document.getElementById('cacheNamespace').value;
+    const filter = document.getElementById('cacheFilter').value.trim().toLowerCase();
+    const list = document.getElementById('cacheEntries');
+    const countEl = document.getElementById('cacheCount');
+    const backend = getCacheBackend(namespace);
+
+    const clearBtn = document.getElementById('clearCacheBtn');
+    clearBtn.disabled = !backend.clear;
+    clearBtn.title = backend.clear ? '' : 'The shared Supabase table can only be cleared from the Supabase dashboard';
+
+    let entries;
     try {
-        const cacheKey = getCacheKey(fen, move);
-        const { data, error } = await supabaseClient
-            .from('move_explanations')
-            .select('explanation')
-            .eq('cache_key', cacheKey)
-            .maybeSingle();
+        entries = await backend.entries(namespace);
+    } catch (e) {
+        list.innerHTML = `<div class="empty-state">Couldn't read the cache: ${escapeHtml(e.message)}</div>`;
+        countEl.textContent = '';
+        return;
+    }
+
+    const matching = entries
+        .filter(e => !filter || e.key.toLowerCase().includes(filter))
+        .sort((a, b) => b.createdAt - a.createdAt);
+    countEl.textContent = `${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}`;
+
+    if (matching.length === 0) {
+        list.innerHTML = '<div class="empty-state">No cached entries</div>';
+        return;
+    }
+    list.innerHTML = matching.slice(0, 100).map(e => {
+        const value = typeof e.value === 'string' ? e.value : JSON.stringify(e.value);
+        const details = [new Date(e.createdAt).toLocaleString()];
+        if (e.model) details.push(`${e.model} (prompt v${e.promptVersion})`);
+        if (e.eval) details.push(`eval ${e.eval} at depth ${e.depth}`);
+        return `
+            <div class="cache-entry">
+                <div class="cache-entry-key">${escapeHtml(e.key)}</div>
+                <div class="cache-entry-value">${escapeHtml(value.slice(0, 240))}</div>
+                <div class="cache-entry-date">${escapeHtml(details.join(' · '))}</div>
+            </div>
+        `;
+    }).join('');
+}
 
-        if (error || !data) return null;
-        return data.explanation;
+async function exportCache() {
+    const entries = [];
+    try {
+        for (const namespace of Object.keys(CACHE_NAMESPACES)) {
+            entries.push(...await getCacheBackend(namespace).entries(namespace));
+        }
     } catch (e) {
-        // Silently handle cache errors - not critical
-        return null;
+        document.getElementById('cacheMessage').textContent = `Export failed: ${e.message}`;
+        return;
+    }
+
+    const json = JSON.stringify({ version: 1, exportedAt: new Date().toISOString(), entries }, null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'chess-playalong-cache.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+async function importCache(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    const message = document.getElementById('cacheMessage');
+
+    try {
+        const data = JSON.parse(await file.text());
+        if (!Array.isArray(data.entries)) throw new Error('No entries found');
+
+        const valid = data.entries.filter(entry => CACHE_NAMESPACES[entry.namespace] && entry.key && entry.value !== undefined);
+        for (const namespace of Object.keys(CACHE_NAMESPACES)) {
+            const items = valid.filter(entry => entry.namespace === namespace);
+            if (items.length > 0) await getCacheBackend(namespace).import(items);
+        }
+        message.textContent = `Imported ${valid.length} entr${valid.length === 1 ? 'y' : 'ies'}`;
+    } catch (err) {
+        console.error('Cache import failed:', err);
+        message.textContent = `Import failed: ${err.message}`;
     }
+    e.target.value = '';
+    renderCacheEntries();
 }
 
-// Store explanation in cache
-async function saveExplanationToCache(fen, move, explanation) {
-    if (!supabaseClient) return;
+async function clearCache() {
+    const namespace = document.getElementById('cacheNamespace').value;
+    const backend = getCacheBackend(namespace);
+    if (!backend.clear) return;
+    if (!confirm(`Delete every cached ${CACHE_NAMESPACES[namespace].toLowerCase()} entry?`)) return;
 
     try {
-        const cacheKey = getCacheKey(fen, move);
-        await supabaseClient
-            .from('move_explanations')
-            .upsert({
-                cache_key: cacheKey,
-                fen: fen,
-                move: move,
-                explanation: explanation,
-                created_at: new Date().toISOString()
-            }, { onConflict: 'cache_key' });
+        await backend.clear(namespace);
+        document.getElementById('cacheMessage').textContent = 'Cleared';
     } catch (e) {
-        // Silently handle cache errors - not critical
+        document.getElementById('cacheMessage').textContent = `Clear failed: ${e.message}`;
     }
+    renderCacheEntries();
+}
+
+// ============================================
+// Local Database (IndexedDB)
+// ============================================
+const DB_NAME = 'chess_playalong';
+const DB_VERSION = 4;
+
+let dbPromise = null;
+
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            // Each version adds its stores on top of the previous ones
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (event.oldVersion < 1) {
+                    db.createObjectStore('repertoire', { keyPath: 'color' });
+                }
+                if (event.oldVersion < 2) {
+                    db.createObjectStore('bookPositions', { keyPath: 'fen' });
+                    db.createObjectStore('bookGames', { keyPath: 'id', autoIncrement: true });
+                }
+                if (event.oldVersion < 3) {
+                    db.createObjectStore('cache', { keyPath: 'id' }).createIndex('namespace', 'namespace');
+                }
+                if (event.oldVersion < 4) {
+                    db.createObjectStore('coachChats', { keyPath: 'gameKey' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch(e => {
+            dbPromise = null;
+            throw e;
+        });
+    }
+    return dbPromise;
+}
+
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function dbGet(storeName, key) {
+    const db = await openDatabase();
+    return idbRequest(db.transaction(storeName).objectStore(storeName).get(key));
+}
+
+async function dbPut(storeName, value) {
+    const db = await openDatabase();
+    return idbRequest(db.transaction(storeName, 'readwrite').objectStore(storeName).put(value));
 }
 
 // ============================================
 // URL State Management
 // ============================================
-function getFenFromUrl() {
-    const params = new URLSearchParams(window.location.search);
-    return params.get('fen');
+// The URL holds the whole game so a link restores what's on screen:
+//   fen          starting position (omitted for the standard start)
+//   moves        two characters per move, its from and to squares in base64url
+//                (a1 = A ... h8 = _), plus ~ and the piece for a promotion.
+//                Variations follow the move they replace in parentheses, as in PGN.
+//   ply          the move being viewed, counted in the order moves appear in `moves`
+//   orientation  'black' when the board is flipped
+// Every position visited gets a history entry, so back / forward step
+// through them.
+const URL_SQUARES = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+const FILES = 'abcdefgh';
+
+// Set while showing a position from the browser history, which mustn't push
+// another entry
+let restoringUrl = false;
+// Node ids start again on every page load, so history entries from another
+// load can't be looked up by id and are restored from their URL instead
+const URL_PAGE_ID = `${Date.now().toString(36)}${Math.random().toString(36).slice(2)}`;
+// Games shown during this page load by their root node id, so back / forward
+// to a replaced game brings back its headers, comments, evals and report
+const urlTrees = new Map();
+
+function encodeUrlSquare(square) {
+    return URL_SQUARES[FILES.indexOf(square[0]) + (parseInt(square[1]) - 1) * 8];
 }
 
-function updateUrlWithFen() {
-    const fen = game.fen();
+function decodeUrlSquare(char) {
+    const index = URL_SQUARES.indexOf(char);
+    return index < 0 ? null : FILES[index % 8] + (Math.floor(index / 8) + 1);
+}
+
+function encodeUrlMove(uci) {
+    const promotion = uci.length > 4 ? `~${uci[4]}` : '';
+    return encodeUrlSquare(uci.substring(0, 2)) + encodeUrlSquare(uci.substring(2, 4)) + promotion;
+}
+
+// Encode the moves below a node. Sidelines are included when includeLine
+// says so; `order` collects the nodes in the order they're written.
+function encodeUrlMoves(node, includeLine, order) {
+    let text = '';
+    while (node.children.length > 0) {
+        const [main, ...sidelines] = node.children;
+        text += encodeUrlMove(main.uci);
+        order.push(main);
+
+        for (const sideline of sidelines.filter(includeLine)) {
+            text += '(' + encodeUrlMove(sideline.uci);
+            order.push(sideline);
+            text += encodeUrlMoves(sideline, includeLine, order) + ')';
+        }
+        node = main;
+    }
+    return text;
+}
+
+// Build the tree below `root` from encoded moves. Returns the nodes in the
+// order they were read; decoding stops at the first move that doesn't parse
+// or isn't legal.
+function decodeUrlMoves(text, root) {
+    const order = [];
+    // Each entry is the node the next move is played from; a variation starts
+    // from the position before the move it follows
+    const stack = [root];
+    let previous = root;
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+        if (char === '(') {
+            stack.push(previous.parent || previous);
+            i++;
+            continue;
+        }
+        if (char === ')') {
+            if (stack.length > 1) stack.pop();
+            previous = stack[stack.length - 1];
+            i++;
+            continue;
+        }
+
+        const from = decodeUrlSquare(char);
+        const to = decodeUrlSquare(text[i + 1] || '');
+        let promotion;
+        i += 2;
+        if (text[i] === '~') {
+            promotion = text[i + 1];
+            i += 2;
+        }
+
+        const parent = stack[stack.length - 1];
+        const chess = new Chess(parent.fen);
+        const move = from && to ? chess.move({ from, to, promotion }) : null;
+        if (!move) {
+            console.warn('Invalid move in URL, ignoring the rest:', text.substring(i - 2));
+            break;
+        }
+        const node = appendMoveNode(parent, move, chess.fen());
+        stack[stack.length - 1] = node;
+        order.push(node);
+        previous = node;
+    }
+    return order;
+}
+
+function getUrlVariationsSetting() {
+    return localStorage.getItem('url_variations') === 'true';
+}
+
+function toggleUrlVariations(e) {
+    localStorage.setItem('url_variations', e.target.checked);
+    updateUrl({ replace: true });
+}
+
+function buildUrl() {
+    // Without all variations, the one being viewed still has to be there
+    const all = getUrlVariationsSetting();
+    const order = [];
+    const moves = encodeUrlMoves(moveTree, (sideline) => all || isInSubtree(currentNode, sideline), order);
+
+    const params = [];
+    if (moveTree.fen !== DEFAULT_FEN) params.push(`fen=${encodeURIComponent(moveTree.fen)}`);
+    if (moves) params.push(`moves=${encodeURIComponent(moves)}`);
+    if (currentNode !== moveTree) params.push(`ply=${order.indexOf(currentNode) + 1}`);
+    if (boardFlipped) params.push('orientation=black');
+    // Identifies the game's coach chat
+    if (params.length > 0 || moveTree.chat?.length > 0) params.push(`game=${encodeURIComponent(moveTree.gameKey)}`);
+
     const url = new URL(window.location);
-    url.searchParams.set('fen', fen);
-    history.replaceState(null, '', url);
+    url.search = params.length > 0 ? `?${params.join('&')}` : '';
+    return url;
+}
+
+// Record the current position in the URL. Moving to another position at the
+// user's request adds a history entry; games against the engine, training and
+// drills don't, as they can't be navigated.
+function updateUrl({ replace = false } = {}) {
+    const url = buildUrl();
+    urlTrees.set(moveTree.id, { root: moveTree, nodes: treeNodes, headers: gameHeaders });
+    const state = { page: URL_PAGE_ID, tree: moveTree.id, node: currentNode.id };
+    const locked = isPlaying() || isTraining() || isDrilling();
+    if (replace || restoringUrl || locked || url.href === window.location.href) {
+        history.replaceState(state, '', url);
+    } else {
+        history.pushState(state, '', url);
+    }
+}
+
+// Restore the game, position and orientation from the URL. Links that only
+// have `fen` (the old format) open that position. Returns false if there's
+// nothing to restore.
+function loadFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const fen = params.get('fen');
+    const moves = params.get('moves');
+    const gameKey = params.get('game');
+    if (!fen && !moves && !gameKey) return false;
+
+    const startFen = fen || DEFAULT_FEN;
+    if (!game.validate_fen(startFen).valid) {
+        console.warn('Invalid FEN in URL, using starting position');
+        return false;
+    }
+
+    gameHeaders = {};
+    resetMoveTree(new Chess(startFen).fen());
+    if (gameKey) moveTree.gameKey = gameKey;
+    const order = decodeUrlMoves(moves || '', moveTree);
+    const ply = parseInt(params.get('ply'));
+    const node = Number.isNaN(ply) ? getLineEnd(moveTree) : (order[ply - 1] || moveTree);
+
+    if ((params.get('orientation') === 'black') !== boardFlipped) flipBoard();
+    restoringUrl = true;
+    showNode(node);
+    restoringUrl = false;
+    loadCoachChat();
+    return true;
+}
+
+// Put back a game shown earlier in this page load
+function restoreUrlTree(tree) {
+    resetMoveTree(tree.root.fen);
+    moveTree = tree.root;
+    treeNodes = tree.nodes;
+    gameHeaders = tree.headers;
+    renderCoach();
+    renderReport();
+    document.getElementById('reportBtn').textContent = moveTree.report ? 'Regenerate' : 'Generate';
+}
+
+// Back / forward: entries from this page load go back to the game and node
+// they were recorded for; anything else (another load, a deleted move) is
+// rebuilt from its URL
+function handlePopState(e) {
+    if (isPlaying() || isTraining() || isDrilling()) return;
+
+    const state = e.state;
+    const tree = state?.page === URL_PAGE_ID ? urlTrees.get(state.tree) : null;
+    restoringUrl = true;
+    if (tree && tree.nodes.has(state.node)) {
+        if (tree.root !== moveTree) restoreUrlTree(tree);
+        showNode(tree.nodes.get(state.node));
+    } else if (!loadFromUrl()) {
+        newGame();
+    }
+    restoringUrl = false;
 }
 
 // ============================================
 // Initialize
 // ============================================
 function init() {
-    initSupabase();
+    initCache();
     initBoard();
     initStockfish();
+    resetMoveTree(game.fen());
+    loadRepertoires();
 
-    // Load position from URL if present
-    const urlFen = getFenFromUrl();
-    if (urlFen) {
-        try {
-            if (game.load(urlFen)) {
-                board.position(urlFen);
-                updateDisplay();
-            }
-        } catch (e) {
-            console.warn('Invalid FEN in URL, using starting position');
-        }
+    // Show AI settings if no provider is set up
+    if (!isLlmConfigured()) {
+        openLlmSettings();
     }
 
-    // Show API key modal if no key stored
-    if (!apiKey) {
-        document.getElementById('apiKeyModal').classList.add('active');
+    // Restore the game from the URL if it has one, else analyze the start
+    if (!loadFromUrl()) {
+        analyzePosition();
+        updateUrl({ replace: true });
     }
-
-    // Initial analysis
-    analyzePosition();
-    updateUrlWithFen();
+    window.addEventListener('popstate', handlePopState);
 }
 
+const PIECE_THEME = 'https://chessboardjs.com/img/chesspieces/wikipedia/{piece}.png';
+
 function initBoard() {
     const config = {
         draggable: true,
         position: 'start',
-        pieceTheme: 'https://chessboardjs.com/img/chesspieces/wikipedia/{piece}.png',
+        pieceTheme: PIECE_THEME,
         onDrop: handleMove,
         onDragStart: onDragStart
     };
@@ -151,99 +782,359 @@ function initBoard() {
     // Bind buttons
     document.getElementById('newGameBtn').addEventListener('click', newGame);
     document.getElementById('undoBtn').addEventListener('click', undoMove);
+    document.getElementById('redoBtn').addEventListener('click', redoMove);
     document.getElementById('flipBtn').addEventListener('click', flipBoard);
-    document.getElementById('saveApiKey').addEventListener('click', saveApiKey);
+    document.getElementById('saveApiKey').addEventListener('click', saveLlmSettings);
     document.getElementById('skipApiKey').addEventListener('click', () => {
         document.getElementById('apiKeyModal').classList.remove('active');
     });
-    document.getElementById('explainBtn').addEventListener('click', fetchExplanations);
+    document.getElementById('llmSettingsBtn').addEventListener('click', openLlmSettings);
+    document.getElementById('reportBtn').addEventListener('click', generateReport);
+    document.getElementById('reportContent').addEventListener('click', handleReportClick);
+    document.getElementById('coachSendBtn').addEventListener('click', sendCoachMessage);
+    document.getElementById('coachStopBtn').addEventListener('click', stopCoach);
+    document.getElementById('coachClearBtn').addEventListener('click', clearCoachChat);
+    document.getElementById('coachInput').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            sendCoachMessage();
+        }
+    });
+    const coachMessages = document.getElementById('coachMessages');
+    coachMessages.addEventListener('mouseover', handleCoachHover);
+    coachMessages.addEventListener('mouseout', (e) => {
+        if (e.target.closest('.coach-move')) clearPreview();
+    });
+    coachMessages.addEventListener('click', handleCoachClick);
+    document.getElementById('llmProvider').addEventListener('change', (e) => showLlmProviderFields(e.target.value));
+    document.getElementById('explainBtn').addEventListener('click', () => fetchExplanations());
     document.getElementById('copyFenBtn').addEventListener('click', copyFen);
     document.getElementById('setFenBtn').addEventListener('click', setFenFromInput);
     document.getElementById('fenInput').addEventListener('keypress', (e) => {
         if (e.key === 'Enter') setFenFromInput();
     });
+    document.getElementById('importPgnBtn').addEventListener('click', () => openPgnModal('import'));
+    document.getElementById('exportPgnBtn').addEventListener('click', () => openPgnModal('export'));
+    document.getElementById('loadPgnBtn').addEventListener('click', importPgnFromModal);
+    document.getElementById('copyPgnBtn').addEventListener('click', copyPgn);
+    document.getElementById('downloadPgnBtn').addEventListener('click', downloadPgn);
+    document.getElementById('closePgnBtn').addEventListener('click', closePgnModal);
+    document.getElementById('promoteVariationBtn').addEventListener('click', promoteVariation);
+    document.getElementById('variationUpBtn').addEventListener('click', () => moveVariation(-1));
+    document.getElementById('variationDownBtn').addEventListener('click', () => moveVariation(1));
+    document.getElementById('deleteMoveBtn').addEventListener('click', deleteFromCurrentNode);
+    document.getElementById('moveHistory').addEventListener('click', (e) => {
+        const moveEl = e.target.closest('[data-node]');
+        if (moveEl) goToNode(treeNodes.get(parseInt(moveEl.dataset.node)));
+    });
+    document.addEventListener('keydown', handleHistoryKeys);
+    document.addEventListener('keydown', handlePromotionKeys, true);
+    document.getElementById('promotionOverlay').addEventListener('click', handlePromotionClick);
+
+    // Right-click drawing; capture so chessboard.js never sees the right button
+    const boardWrapper = document.querySelector('.board-wrapper');
+    boardWrapper.addEventListener('mousedown', handleShapeMouseDown, true);
+    boardWrapper.addEventListener('contextmenu', (e) => e.preventDefault());
+    document.addEventListener('mousemove', handleShapeMouseMove);
+    document.addEventListener('mouseup', handleShapeMouseUp);
+    const arrowsCheckbox = document.getElementById('engineArrowsCheckbox');
+    arrowsCheckbox.checked = showEngineArrows;
+    arrowsCheckbox.addEventListener('change', toggleEngineArrows);
+    document.getElementById('analyzeGameBtn').addEventListener('click', analyzeGame);
+    document.getElementById('playBtn').addEventListener('click', openPlayModal);
+    document.getElementById('trainBtn').addEventListener('click', openTrainingModal);
+    document.getElementById('followBtn').addEventListener('click', openFollowModal);
+    document.getElementById('copyLinkBtn').addEventListener('click', copyLink);
+    const urlVariationsCheckbox = document.getElementById('urlVariationsCheckbox');
+    urlVariationsCheckbox.checked = getUrlVariationsSetting();
+    urlVariationsCheckbox.addEventListener('change', toggleUrlVariations);
+    document.getElementById('editBoardBtn').addEventListener('click', openBoardEditor);
+    document.getElementById('editorClearBtn').addEventListener('click', clearEditorBoard);
+    document.getElementById('editorStartBtn').addEventListener('click', resetEditorBoard);
+    document.getElementById('editorMirrorBtn').addEventListener('click', mirrorEditorBoard);
+    document.getElementById('editorFlipBtn').addEventListener('click', () => editorBoard.flip());
+    document.getElementById('editorTurn').addEventListener('change', () => updateEditor());
+    document.getElementById('editorEnPassant').addEventListener('change', () => updateEditor());
+    document.querySelectorAll('.editor-castling input').forEach(el => {
+        el.addEventListener('change', () => updateEditor());
+    });
+    document.getElementById('editorFen').addEventListener('change', handleEditorFenInput);
+    document.getElementById('editorAnalyzeBtn').addEventListener('click', analyzeEditorPosition);
+    document.getElementById('editorCancelBtn').addEventListener('click', closeBoardEditor);
+    document.getElementById('startFollowBtn').addEventListener('click', startFollowFromModal);
+    document.getElementById('cancelFollowBtn').addEventListener('click', closeFollowModal);
+    document.getElementById('backToLiveBtn').addEventListener('click', backToLive);
+    document.getElementById('stopFollowBtn').addEventListener('click', stopFollow);
+    document.getElementById('startTrainingBtn').addEventListener('click', startTrainingFromModal);
+    document.getElementById('cancelTrainingBtn').addEventListener('click', closeTrainingModal);
+    document.getElementById('trainingNextBtn').addEventListener('click', nextTrainingPosition);
+    document.getElementById('trainingStopBtn').addEventListener('click', () => {
+        if (isTraining()) finishTraining();
+        else stopTraining();
+    });
+    document.getElementById('trainingContent').addEventListener('click', handleTrainingClick);
+    document.getElementById('addRepertoireBtn').addEventListener('click', addCurrentLineToRepertoire);
+    document.getElementById('removeRepertoireBtn').addEventListener('click', removeCurrentMoveFromRepertoire);
+    document.getElementById('drillRepertoireBtn').addEventListener('click', startDrill);
+    document.getElementById('repertoirePanel').addEventListener('click', handleRepertoireClick);
+    document.getElementById('repertoireDrill').addEventListener('click', handleDrillClick);
+    document.getElementById('openingContent').addEventListener('click', (e) => {
+        const addBtn = e.target.closest('.book-move-add');
+        if (addBtn && !addBtn.classList.contains('in-repertoire')) addBookMoveToRepertoire(addBtn.dataset.uci);
+        const localGame = e.target.closest('[data-local-game]');
+        if (localGame) loadLocalBookGame(parseInt(localGame.dataset.localGame));
+    });
+    document.getElementById('localBookBtn').addEventListener('click', openLocalBookModal);
+    document.getElementById('importLocalBookBtn').addEventListener('click', importLocalBookFromModal);
+    document.getElementById('clearLocalBookBtn').addEventListener('click', clearLocalBook);
+    document.getElementById('closeLocalBookBtn').addEventListener('click', closeLocalBookModal);
+    document.getElementById('localBookAlongside').addEventListener('change', toggleLocalBookAlongside);
+    document.getElementById('explorerDb').addEventListener('change', (e) => setExplorerDb(e.target.value));
+    document.getElementById('cacheBtn').addEventListener('click', openCacheModal);
+    document.getElementById('closeCacheBtn').addEventListener('click', closeCacheModal);
+    document.getElementById('exportCacheBtn').addEventListener('click', exportCache);
+    document.getElementById('importCacheBtn').addEventListener('click', () => document.getElementById('cacheImportFile').click());
+    document.getElementById('cacheImportFile').addEventListener('change', importCache);
+    document.getElementById('clearCacheBtn').addEventListener('click', clearCache);
+    document.getElementById('cacheNamespace').addEventListener('change', renderCacheEntries);
+    document.getElementById('cacheFilter').addEventListener('input', renderCacheEntries);
+    document.getElementById('explorerFiltersBtn').addEventListener('click', toggleExplorerFilters);
+    document.getElementById('engineSettingsBtn').addEventListener('click', toggleEngineSettings);
+    document.getElementById('engineSettings').addEventListener('change', handleEngineSettingsChange);
+    renderEngineSettings();
+    document.getElementById('explorerFilters').addEventListener('change', handleExplorerFilterChange);
+    renderExplorerFilters();
+    document.getElementById('startPlayBtn').addEventListener('click', startPlayFromModal);
+    document.getElementById('cancelPlayBtn').addEventListener('click', closePlayModal);
+    document.getElementById('resignBtn').addEventListener('click', resignGame);
+    document.getElementById('closePlayBtn').addEventListener('click', stopPlay);
+    initPlayOptions();
+    const evalGraph = document.getElementById('evalGraph');
+    evalGraph.addEventListener('mousemove', showEvalGraphTooltip);
+    evalGraph.addEventListener('mouseleave', hideEvalGraphTooltip);
+    evalGraph.addEventListener('click', handleEvalGraphClick);
 
     // Initialize FEN display
     updateFenDisplay();
 
     // Resize handling
-    window.addEventListener('resize', () => board.resize());
+    window.addEventListener('resize', () => {
+        board.resize();
+        updateBoardArrows();
+    });
 }
 
-async function initStockfish() {
-    try {
-        // Fetch Stockfish script and create a Blob URL to work around CORS restrictions
-        const response = await fetch('https://unpkg.com/stockfish.js@10.0.2/stockfish.js');
-        const blob = await response.blob();
-        const blobUrl = URL.createObjectURL(blob);
+// Engine builds the app can run. Modern Stockfish WASM builds locate their
+// .wasm (and network) files relative to the script, so they're loaded from a
+// same-origin path rather than a Blob URL.
+const ENGINE_BUILDS = {
+    nnue: {
+        label: 'Stockfish NNUE (local)',
+        // Threads need SharedArrayBuffer, which needs cross-origin isolation
+        threaded: () => window.crossOriginIsolated === true,
+        getUrl: async () => {
+            const config = (typeof CONFIG !== 'undefined' && CONFIG.engine) || {};
+            return window.crossOriginIsolated
+                ? config.path || 'engine/stockfish.js'
+                : config.singleThreadPath || 'engine/stockfish-single.js';
+        }
+    },
+    legacy: {
+        label: 'Stockfish 10 (unpkg)',
+        threaded: () => false,
+        getUrl: getLegacyStockfishUrl
+    }
+};
+
+let legacyStockfishUrlPromise = null;
+
+// Fetch the legacy stockfish.js and create a Blob URL to work around CORS
+// restrictions. The URL is shared by every engine worker we start.
+function getLegacyStockfishUrl() {
+    if (!legacyStockfishUrlPromise) {
+        legacyStockfishUrlPromise = fetch('https://unpkg.com/stockfish.js@10.0.2/stockfish.js')
+            .then(response => response.blob())
+            .then(blob => URL.createObjectURL(blob))
+            .catch(e => {
+                legacyStockfishUrlPromise = null;
+                throw e;
+            });
+    }
+    return legacyStockfishUrlPromise;
+}
+
+// The build actually running, which differs from the chosen one after a fallback
+let activeEngineBuild = null;
+let engineName = '';
+
+function getEngineBuild() {
+    return ENGINE_BUILDS[activeEngineBuild] || ENGINE_BUILDS[engineSettings.build] || ENGINE_BUILDS.nnue;
+}
+
+function getEngineMaxThreads() {
+    return getEngineBuild().threaded() ? navigator.hardwareConcurrency || 1 : 1;
+}
+
+async function createEngineWorker() {
+    return new Worker(await getEngineBuild().getUrl());
+}
 
-        stockfish = new Worker(blobUrl);
+async function initStockfish(build = engineSettings.build) {
+    activeEngineBuild = ENGINE_BUILDS[build] ? build : 'nnue';
+    engineSearching = false;
+    staleBestmoves = 0;
+    engineName = '';
+    document.getElementById('engineName').textContent = '';
+    document.getElementById('engineDepth').textContent = 'Initializing...';
+    try {
+        const worker = await createEngineWorker();
+        stockfish = worker;
         stockfish.onmessage = handleStockfishMessage;
+        // A missing or broken script only shows up as an error event
+        stockfish.onerror = (e) => {
+            if (stockfish !== worker) return;
+            e.preventDefault();
+            stockfish = null;
+            worker.terminate();
+            handleEngineLoadFailure(`Could not load ${getEngineBuild().label}. Check your connection or pick another engine in Settings.`);
+        };
         stockfish.postMessage('uci');
-
-        const multiPV = (typeof CONFIG !== 'undefined' && CONFIG.engine?.multiPV) || 4;
-        stockfish.postMessage(`setoption name MultiPV value ${multiPV}`);
+        sendEngineOptions();
         stockfish.postMessage('isready');
     } catch (e) {
+        // e.g. a SecurityError constructing the worker from file://
         console.error('Failed to initialize Stockfish:', e);
-        document.getElementById('engineDepth').textContent = 'Engine unavailable';
-        document.getElementById('moveList').innerHTML = `
-            <div class="empty-state">
-                <p>Failed to load chess engine.</p>
-                <p style="margin-top: 8px; font-size: 11px; color: var(--text-muted);">
-                    ${e.message}
-                </p>
-            </div>`;
+        stockfish = null;
+        handleEngineLoadFailure(e.message);
+    }
+}
+
+function handleEngineLoadFailure(message) {
+    if (activeEngineBuild !== 'legacy') {
+        // Keep analysis working when the local files aren't installed
+        console.warn(`Failed to load ${getEngineBuild().label}, falling back to Stockfish 10`);
+        initStockfish('legacy').then(() => analyzePosition());
+    } else {
+        showEngineUnavailable(message);
     }
 }
 
+function showEngineUnavailable(message) {
+    document.getElementById('engineDepth').textContent = 'Engine unavailable';
+    document.getElementById('moveList').innerHTML = `
+        <div class="empty-state">
+            <p>Failed to load chess engine.</p>
+            <p style="margin-top: 8px; font-size: 11px; color: var(--text-muted);">
+                ${escapeHtml(message)}
+            </p>
+        </div>`;
+}
+
+// Replace the live engine with the selected build
+function restartStockfish() {
+    if (analysisTimeout) clearTimeout(analysisTimeout);
+    if (stockfish) stockfish.terminate();
+    stockfish = null;
+    initStockfish().then(() => analyzePosition());
+}
+
 // ============================================
 // Board interaction
 // ============================================
 function onDragStart(source, piece, position, orientation) {
     // Allow moving any piece (we're mirroring a game)
     // Use game_over() for chess.js 0.10.x compatibility
-    if (game.game_over()) return false;
+    if (game.game_over() || pendingPromotion) return false;
+    // Against the engine only the player's own pieces move, and only on their turn
+    if (isPlaying()) {
+        return !playSession.thinking && game.turn() === playSession.color && piece[0] === playSession.color;
+    }
+    if (isTraining()) {
+        return trainingSession.state === 'guessing' && piece[0] === trainingSession.side;
+    }
+    if (isDrilling()) {
+        const color = drillSession.color;
+        return drillSession.state === 'waiting' && game.turn() === color && piece[0] === color;
+    }
     return true;
 }
 
 function handleMove(source, target) {
-    // Try the move
-    const move = game.move({
-        from: source,
-        to: target,
-        promotion: 'q' // Auto-promote to queen for now
-    });
+    if (isPromotionMove(source, target)) {
+        // Leave the pawn on the promotion square while the user picks a piece
+        requestMove(source, target);
+        return;
+    }
+
+    if (!playMove({ from: source, to: target })) return 'snapback';
+}
+
+// Entry point for a move given by its squares from any input. Asks for the
+// promotion piece when a pawn reaches the last rank and none was given.
+// Resolves with the move played, or null.
+async function requestMove(from, to, promotion) {
+    if (!promotion && isPromotionMove(from, to)) {
+        promotion = await choosePromotion(to, game.turn());
+        if (!promotion) {
+            board.position(game.fen());
+            return null;
+        }
+    }
+    const move = playMove({ from, to, promotion });
+    // A rejected move (e.g. off the repertoire in a drill) takes the piece back
+    if (!move) board.position(game.fen());
+    return move;
+}
+
+// Play a move on the game (as a new variation if this position already has a
+// continuation) and refresh everything that depends on the position
+function playMove(moveInput) {
+    if (isTraining()) return submitGuess(moveInput);
+    if (isDrilling() && !checkDrillMove(moveInput)) return null;
 
-    if (move === null) return 'snapback';
+    const move = game.move(moveInput);
+    if (move === null) return null;
+    addMoveToTree(move);
 
     // Sync board with game state (needed for castling, en passant)
     board.position(game.fen());
 
     updateDisplay();
     analyzePosition();
-    updateUrlWithFen();
+    updateUrl();
+    if (isPlaying()) continuePlay(move.color);
+    if (isDrilling()) advanceDrill(move);
+    return move;
 }
 
 function newGame() {
     game.reset();
+    gameHeaders = {};
+    resetMoveTree(game.fen());
     board.start();
     updateDisplay();
     analyzePosition();
-    updateUrlWithFen();
+    updateUrl();
 }
 
 function undoMove() {
-    game.undo();
-    board.position(game.fen());
-    updateDisplay();
-    analyzePosition();
-    updateUrlWithFen();
+    goToNode(currentNode.parent);
 }
 
 function flipBoard() {
+    cancelPromotion();
     boardFlipped = !boardFlipped;
     board.flip();
+    updateBoardArrows();
+    updateUrl({ replace: true });
+}
+
+function copyLink() {
+    navigator.clipboard.writeText(window.location.href).then(() => {
+        const btn = document.getElementById('copyLinkBtn');
+        btn.textContent = 'Copied!';
+        setTimeout(() => btn.textContent = 'Link', 1500);
+    });
 }
 
 function copyFen() {
@@ -261,14 +1152,8 @@ function setFenFromInput() {
     if (!fen) return;
 
     try {
-        const valid = game.load(fen);
-        if (valid) {
-            board.position(fen);
+        if (setPosition(fen)) {
             fenInput.value = '';
-            updateDisplay();
-            updateFenDisplay();
-            analyzePosition();
-            updateUrlWithFen();
         } else {
             alert('Invalid FEN position');
         }
@@ -277,634 +1162,5686 @@ function setFenFromInput() {
     }
 }
 
+// Start a new game tree from a position. Returns false if the FEN is invalid.
+function setPosition(fen) {
+    if (!game.load(fen)) return false;
+
+    gameHeaders = {};
+    resetMoveTree(game.fen());
+    board.position(fen);
+    updateDisplay();
+    updateFenDisplay();
+    analyzePosition();
+    updateUrl();
+    return true;
+}
+
 function updateFenDisplay() {
     document.getElementById('fenDisplay').value = game.fen();
 }
 
 // ============================================
-// Display updates
+// Promotion
 // ============================================
-function updateDisplay() {
-    // Turn indicator
-    const isWhite = game.turn() === 'w';
-    document.getElementById('turnDot').className = 'turn-dot' + (isWhite ? '' : ' black');
-    document.getElementById('turnText').textContent = isWhite ? 'White to move' : 'Black to move';
+const PROMOTION_PIECES = ['q', 'n', 'r', 'b'];
+const PROMOTION_NAMES = { q: 'Queen', n: 'Knight', r: 'Rook', b: 'Bishop' };
 
-    // Move count
-    const fullMoves = Math.floor(game.history().length / 2) + 1;
-    document.getElementById('moveCount').textContent = `Move ${fullMoves}`;
+let pendingPromotion = null;
 
-    // FEN display
-    updateFenDisplay();
+function isPromotionMove(from, to) {
+    return game.moves({ verbose: true }).some(m => m.from === from && m.to === to && m.flags.includes('p'));
+}
 
-    // Move history
-    updateMoveHistory();
+// Show the piece chooser on the promotion square. Resolves with the chosen
+// piece ('q', 'n', 'r' or 'b'), or null if the user backs out.
+function choosePromotion(square, color) {
+    cancelPromotion();
+
+    return new Promise(resolve => {
+        const overlay = document.getElementById('promotionOverlay');
+        const wrapperRect = overlay.parentElement.getBoundingClientRect();
+        const squareRect = document.querySelector(`#board .square-${square}`).getBoundingClientRect();
+        const size = squareRect.width;
+
+        // Stack the choices from the promotion square towards the middle of the board,
+        // whichever edge that square is on for the current orientation
+        const direction = squareRect.top - wrapperRect.top < wrapperRect.height / 2 ? 1 : -1;
+        const left = squareRect.left - wrapperRect.left;
+        const top = squareRect.top - wrapperRect.top;
+
+        overlay.innerHTML = PROMOTION_PIECES.map((piece, i) => `
+            <button class="promotion-choice" data-piece="${piece}" title="${PROMOTION_NAMES[piece]} (${piece.toUpperCase()})"
+                style="left: ${left}px; top: ${top + i * direction * size}px; width: ${size}px; height: ${size}px;">
+                <img src="${PIECE_THEME.replace('{piece}', color + piece.toUpperCase())}" alt="${PROMOTION_NAMES[piece]}">
+            </button>
+        `).join('');
+        overlay.classList.add('active');
+
+        pendingPromotion = { resolve };
+        overlay.querySelector('.promotion-choice').focus();
+    });
 }
 
-function updateMoveHistory() {
-    const history = game.history();
-    const container = document.getElementById('moveHistory');
+function finishPromotion(piece) {
+    if (!pendingPromotion) return;
 
-    if (history.length === 0) {
-        container.innerHTML = '<div class="empty-state">No moves yet</div>';
-        return;
-    }
+    const { resolve } = pendingPromotion;
+    pendingPromotion = null;
 
-    let html = '';
-    for (let i = 0; i < history.length; i += 2) {
-        const moveNum = Math.floor(i / 2) + 1;
-        const whiteMove = history[i];
-        const blackMove = history[i + 1] || '';
-
-        html += `<div class="move-pair">
-            <span class="move-number">${moveNum}.</span>
-            <span class="move-white">${whiteMove}</span>
-            ${blackMove ? `<span class="move-black">${blackMove}</span>` : ''}
-        </div>`;
+    const overlay = document.getElementById('promotionOverlay');
+    overlay.classList.remove('active');
+    overlay.innerHTML = '';
+    resolve(piece);
+}
+
+function cancelPromotion() {
+    finishPromotion(null);
+}
+
+function handlePromotionClick(e) {
+    const choice = e.target.closest('.promotion-choice');
+    // Clicking anywhere else on the board backs out of the promotion
+    finishPromotion(choice ? choice.dataset.piece : null);
+}
+
+function handlePromotionKeys(e) {
+    if (!pendingPromotion) return;
+
+    const key = e.key.toLowerCase();
+    const choices = [...document.querySelectorAll('.promotion-choice')];
+    const focused = choices.indexOf(document.activeElement);
+
+    if (PROMOTION_PIECES.includes(key)) {
+        finishPromotion(key);
+    } else if (e.key === 'Escape') {
+        cancelPromotion();
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp' || e.key === 'Tab') {
+        const offset = e.key === 'ArrowUp' || (e.key === 'Tab' && e.shiftKey) ? -1 : 1;
+        choices[(focused + offset + choices.length) % choices.length].focus();
+    } else if (e.key !== 'Enter' && e.key !== ' ') {
+        return;
     }
 
-    container.innerHTML = html;
+    // Enter and Space fall through to the focused button's click
+    if (e.key !== 'Enter' && e.key !== ' ') e.preventDefault();
+    e.stopPropagation();
 }
 
 // ============================================
-// Stockfish Analysis
+// Board Editor
 // ============================================
-let analysisLines = {};
-let currentDepth = 0;
+// Set up a position on a separate board with spare pieces. The FEN is
+// checked as it changes and only a legal position is handed to analysis.
+const EDITOR_CASTLING = {
+    K: { king: 'wK', kingSquare: 'e1', rookSquare: 'h1' },
+    Q: { king: 'wK', kingSquare: 'e1', rookSquare: 'a1' },
+    k: { king: 'bK', kingSquare: 'e8', rookSquare: 'h8' },
+    q: { king: 'bK', kingSquare: 'e8', rookSquare: 'a8' }
+};
+const COLOR_NAMES = { w: 'White', b: 'Black' };
+
+let editorBoard = null;
+let editorPosition = {};
+let editorFen = null;
+
+function openBoardEditor() {
+    document.getElementById('editorModal').classList.add('active');
+
+    // Created once the modal is visible, so the board can size itself
+    if (!editorBoard) {
+        editorBoard = Chessboard('editorBoard', {
+            draggable: true,
+            dropOffBoard: 'trash',
+            sparePieces: true,
+            pieceTheme: PIECE_THEME,
+            // Called before the board's own position is updated
+            onChange: (oldPosition, newPosition) => {
+                editorPosition = newPosition;
+                updateEditor();
+            }
+        });
+    }
+    editorBoard.orientation(boardFlipped ? 'black' : 'white');
+    editorBoard.resize();
+    loadEditorFen(game.fen());
+}
 
-function analyzePosition() {
-    // Clear previous analysis
-    analysisLines = {};
-    currentDepth = 0;
+function closeBoardEditor() {
+    document.getElementById('editorModal').classList.remove('active');
+}
+
+function loadEditorFen(fen) {
+    const [placement, turn, castling, enPassant] = fen.split(' ');
+    editorPosition = Chessboard.fenToObj(placement);
+    editorBoard.position(editorPosition, false);
+    document.getElementById('editorTurn').value = turn;
+    for (const right of Object.keys(EDITOR_CASTLING)) {
+        document.getElementById(`editorCastle${right}`).checked = castling.includes(right);
+    }
+    updateEditor(enPassant);
+}
+
+function setEditorPosition(position) {
+    editorPosition = position;
+    editorBoard.position(position, false);
+    updateEditor();
+}
+
+function clearEditorBoard() {
+    setEditorPosition({});
+}
+
+function resetEditorBoard() {
+    loadEditorFen(DEFAULT_FEN);
+}
+
+// Swap the colors and ranks of every piece, and the side to move with them
+function mirrorEditorBoard() {
+    const mirrored = {};
+    for (const [square, piece] of Object.entries(editorPosition)) {
+        mirrored[square[0] + (9 - parseInt(square[1]))] = (piece[0] === 'w' ? 'b' : 'w') + piece[1];
+    }
+    const turn = document.getElementById('editorTurn');
+    turn.value = turn.value === 'w' ? 'b' : 'w';
+    const rights = Object.keys(EDITOR_CASTLING).map(right => document.getElementById(`editorCastle${right}`).checked);
+    ['k', 'q', 'K', 'Q'].forEach((right, i) => {
+        document.getElementById(`editorCastle${right}`).checked = rights[i];
+    });
+    const enPassant = document.getElementById('editorEnPassant').value;
+
+    editorPosition = mirrored;
+    editorBoard.position(mirrored, false);
+    updateEditor(enPassant === '-' ? '-' : enPassant[0] + (9 - parseInt(enPassant[1])));
+}
+
+// En passant targets for the side to move: squares a pawn of the other side
+// could just have skipped with a double step
+function getEnPassantSquares(position, turn) {
+    const [pawnRank, targetRank, startRank] = turn === 'w' ? [5, 6, 7] : [4, 3, 2];
+    const pawn = turn === 'w' ? 'bP' : 'wP';
+    return 'abcdefgh'.split('')
+        .filter(file => position[`${file}${pawnRank}`] === pawn &&
+            !position[`${file}${targetRank}`] && !position[`${file}${startRank}`])
+        .map(file => `${file}${targetRank}`);
+}
+
+// Specific problems with the position, or an empty list if it can be analyzed
+function validateEditorPosition(position, fen) {
+    const errors = [];
+    const pieces = Object.entries(position);
+    const count = (piece) => pieces.filter(([, p]) => p === piece).length;
+
+    for (const [color, name] of Object.entries(COLOR_NAMES)) {
+        const kings = count(`${color}K`);
+        if (kings === 0) errors.push(`${name} has no king`);
+        if (kings > 1) errors.push(`${name} has ${kings} kings`);
+        if (count(`${color}P`) > 8) errors.push(`${name} has more than 8 pawns`);
+        if (pieces.filter(([, p]) => p[0] === color).length > 16) errors.push(`${name} has more than 16 pieces`);
+    }
+
+    const backRankPawns = pieces
+        .filter(([square, piece]) => piece[1] === 'P' && (square[1] === '1' || square[1] === '8'))
+        .map(([square]) => square)
+        .sort();
+    if (backRankPawns.length > 0) {
+        errors.push(`Pawns can't stand on the first or last rank (${backRankPawns.join(', ')})`);
+    }
+    if (errors.length > 0) return errors;
+
+    // The side that just moved can't have left its king in check
+    const [placement, turn] = fen.split(' ');
+    const other = turn === 'w' ? 'b' : 'w';
+    if (new Chess(`${placement} ${other} - - 0 1`).in_check()) {
+        errors.push(`${COLOR_NAMES[other]} is in check, but it's ${COLOR_NAMES[turn]} to move`);
+    }
+
+    const validation = game.validate_fen(fen);
+    if (!validation.valid) errors.push(validation.error);
+    return errors;
+}
+
+// Rebuild the controls that depend on the pieces, then the FEN and its
+// validation. Castling rights need the king and rook on their squares.
+function updateEditor(enPassant) {
+    const position = editorPosition;
+    const turn = document.getElementById('editorTurn').value;
+
+    let castling = '';
+    for (const [right, setup] of Object.entries(EDITOR_CASTLING)) {
+        const checkbox = document.getElementById(`editorCastle${right}`);
+        const possible = position[setup.kingSquare] === setup.king &&
+            position[setup.rookSquare] === setup.king[0] + 'R';
+        checkbox.disabled = !possible;
+        if (possible && checkbox.checked) castling += right;
+    }
+
+    const enPassantSelect = document.getElementById('editorEnPassant');
+    const selected = enPassant || enPassantSelect.value;
+    const squares = getEnPassantSquares(position, turn);
+    enPassantSelect.innerHTML = '<option value="-">None</option>' +
+        squares.map(square => `<option value="${square}">${square}</option>`).join('');
+    enPassantSelect.value = squares.includes(selected) ? selected : '-';
+
+    const fen = `${Chessboard.objToFen(position)} ${turn} ${castling || '-'} ${enPassantSelect.value} 0 1`;
+    const errors = validateEditorPosition(position, fen);
+    editorFen = errors.length === 0 ? fen : null;
+
+    document.getElementById('editorFen').value = fen;
+    document.getElementById('editorErrors').innerHTML = errors.map(error => `
+        <div class="pgn-error"><span>${escapeHtml(error)}</span></div>
+    `).join('');
+    document.getElementById('editorAnalyzeBtn').disabled = !editorFen;
+}
+
+// A FEN typed or pasted into the editor
+function handleEditorFenInput() {
+    const fields = document.getElementById('editorFen').value.trim().split(/\s+/);
+    // Missing fields are filled in, so a bare piece placement is enough
+    const fullFen = ['', 'w', '-', '-', '0', '1'].map((field, i) => fields[i] || field).join(' ');
+    const validation = game.validate_fen(fullFen);
+    if (!validation.valid) {
+        document.getElementById('editorErrors').innerHTML =
+            `<div class="pgn-error"><span>${escapeHtml(validation.error)}</span></div>`;
+        document.getElementById('editorAnalyzeBtn').disabled = true;
+        editorFen = null;
+        return;
+    }
+    loadEditorFen(fullFen);
+}
+
+function analyzeEditorPosition() {
+    if (!editorFen) return;
+    closeBoardEditor();
+    setPosition(editorFen);
+}
+
+// ============================================
+// Board Arrows
+// ============================================
+// Shape colors use the Lichess / PGN [%cal] letters
+const SHAPE_COLORS = {
+    G: 'var(--accent-green)',
+    R: 'var(--accent-red)',
+    B: 'var(--accent-blue)',
+    Y: 'var(--accent-amber)'
+};
+// Engine arrows are colored by how much worse than the best move they are
+const CLASSIFICATION_SHAPE_COLORS = { best: 'G', good: 'G', inaccuracy: 'B', mistake: 'Y', blunder: 'R' };
+
+let showEngineArrows = localStorage.getItem('show_engine_arrows') !== 'false';
+let previewLine = null;
+let previewPly = 0;
+let drawingShape = null;
+
+function getArrowSettings() {
+    const arrows = (typeof CONFIG !== 'undefined' && CONFIG.arrows) || {};
+    return {
+        engineMoves: arrows.engineMoves ?? 3,
+        pvPlies: arrows.pvPlies ?? 4
+    };
+}
+
+function getBoardElement() {
+    return document.querySelector('#board .board-b72b1');
+}
+
+// Square centers in an 8x8 coordinate space, respecting board orientation
+function squareCenter(square) {
+    const file = square.charCodeAt(0) - 97;
+    const rank = parseInt(square[1]);
+    const white = board.orientation() === 'white';
+    return {
+        x: (white ? file : 7 - file) + 0.5,
+        y: (white ? 8 - rank : rank - 1) + 0.5
+    };
+}
+
+function squareFromPoint(clientX, clientY) {
+    const rect = getBoardElement().getBoundingClientRect();
+    const col = Math.floor(((clientX - rect.left) / rect.width) * 8);
+    const row = Math.floor(((clientY - rect.top) / rect.height) * 8);
+    if (col < 0 || col > 7 || row < 0 || row > 7) return null;
+
+    const white = board.orientation() === 'white';
+    const file = white ? col : 7 - col;
+    const rank = white ? 8 - row : row + 1;
+    return String.fromCharCode(97 + file) + rank;
+}
+
+function arrowSvg(from, to, color, width, opacity) {
+    const a = squareCenter(from);
+    const b = squareCenter(to);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const length = Math.hypot(dx, dy);
+
+    // Stop the shaft where the arrowhead (4 stroke widths long) begins
+    const shorten = Math.min(width * 4, length / 2) / length;
+    const x2 = b.x - dx * shorten;
+    const y2 = b.y - dy * shorten;
+
+    return `<line x1="${a.x}" y1="${a.y}" x2="${x2.toFixed(3)}" y2="${y2.toFixed(3)}"
+        style="stroke: ${SHAPE_COLORS[color]}; stroke-width: ${width}; opacity: ${opacity}"
+        stroke-linecap="round" marker-end="url(#arrowhead-${color})"/>`;
+}
+
+function circleSvg(square, color, opacity) {
+    const c = squareCenter(square);
+    return `<circle cx="${c.x}" cy="${c.y}" r="0.46"
+        style="fill: none; stroke: ${SHAPE_COLORS[color]}; stroke-width: 0.07; opacity: ${opacity}"/>`;
+}
+
+function shapeSvg(shape, opacity) {
+    return shape.type === 'arrow'
+        ? arrowSvg(shape.from, shape.to, shape.color, 0.16, opacity)
+        : circleSvg(shape.square, shape.color, opacity);
+}
+
+// Top engine moves: thicker and more opaque the better they rank
+function engineArrowsSvg() {
+    const { engineMoves } = getArrowSettings();
+    const lines = currentAnalysis.slice(0, engineMoves);
+    if (lines.length === 0) return '';
+
+    // Win probability for the side to move
+    const moverWin = (evalStr) => game.turn() === 'w' ? winProbability(evalStr) : 100 - winProbability(evalStr);
+    const bestWin = moverWin(lines[0].eval);
+
+    return lines.map((line, i) => {
+        const loss = bestWin - moverWin(line.eval);
+        let classification = 'good';
+        if (loss >= CLASSIFICATION_THRESHOLDS.blunder) classification = 'blunder';
+        else if (loss >= CLASSIFICATION_THRESHOLDS.mistake) classification = 'mistake';
+        else if (loss >= CLASSIFICATION_THRESHOLDS.inaccuracy) classification = 'inaccuracy';
+
+        const width = 0.2 - i * 0.04;
+        const opacity = 0.85 - i * 0.2;
+        return arrowSvg(line.uci.substring(0, 2), line.uci.substring(2, 4),
+            CLASSIFICATION_SHAPE_COLORS[classification], Math.max(width, 0.06), Math.max(opacity, 0.25));
+    }).reverse().join('');
+}
+
+// Plies of the hovered line from the one on the board, fading out; each
+// side keeps its own color
+function pvArrowsSvg(line, fromPly) {
+    const { pvPlies } = getArrowSettings();
+    return line.pv.slice(fromPly, fromPly + pvPlies).map((uci, i) =>
+        arrowSvg(uci.substring(0, 2), uci.substring(2, 4), i % 2 === 0 ? 'G' : 'B', 0.14, 0.9 - i * 0.18)
+    ).join('');
+}
+
+function updateBoardArrows() {
+    const overlay = document.getElementById('boardOverlay');
+    const boardEl = getBoardElement();
+    if (!boardEl) return;
+
+    // Line the 8x8 viewBox up with the squares (inside chessboard.js's border)
+    const wrapperRect = overlay.parentElement.getBoundingClientRect();
+    const boardRect = boardEl.getBoundingClientRect();
+    const innerLeft = boardEl.clientLeft;
+    const innerTop = boardEl.clientTop;
+    overlay.style.left = `${boardRect.left - wrapperRect.left + innerLeft}px`;
+    overlay.style.top = `${boardRect.top - wrapperRect.top + innerTop}px`;
+    overlay.style.width = `${boardEl.clientWidth}px`;
+    overlay.style.height = `${boardEl.clientHeight}px`;
+
+    let shapes = '';
+    if (previewLine) {
+        shapes += pvArrowsSvg(previewLine, previewPly);
+    } else if (showEngineArrows && !isTraining()) {
+        shapes += engineArrowsSvg();
+    }
+
+    (currentNode.annotation.shapes || []).forEach(shape => {
+        shapes += shapeSvg(shape, 0.8);
+    });
+
+    if (drawingShape) {
+        const shape = drawingShape.from === drawingShape.to
+            ? { type: 'circle', square: drawingShape.from, color: drawingShape.color }
+            : { type: 'arrow', from: drawingShape.from, to: drawingShape.to, color: drawingShape.color };
+        shapes += shapeSvg(shape, 0.6);
+    }
+
+    const markers = Object.entries(SHAPE_COLORS).map(([key, color]) => `
+        <marker id="arrowhead-${key}" markerWidth="4" markerHeight="4" refX="0" refY="2"
+            orient="auto" markerUnits="strokeWidth">
+            <path d="M0,0 L4,2 L0,4 z" style="fill: ${color}"/>
+        </marker>
+    `).join('');
+
+    overlay.innerHTML = `<defs>${markers}</defs>${shapes}`;
+}
+
+// Shift = red, Alt = blue, Shift+Alt = yellow, otherwise green (as on Lichess)
+function shapeColorFromEvent(e) {
+    if (e.shiftKey && e.altKey) return 'Y';
+    if (e.shiftKey) return 'R';
+    if (e.altKey) return 'B';
+    return 'G';
+}
+
+function handleShapeMouseDown(e) {
+    if (e.button !== 2) return;
+
+    // Keep chessboard.js from treating a right-click as the start of a drag
+    e.stopPropagation();
+    e.preventDefault();
+
+    const square = squareFromPoint(e.clientX, e.clientY);
+    if (!square) return;
+    drawingShape = { from: square, to: square, color: shapeColorFromEvent(e) };
+    updateBoardArrows();
+}
+
+function handleShapeMouseMove(e) {
+    if (!drawingShape) return;
+
+    const square = squareFromPoint(e.clientX, e.clientY);
+    if (square && square !== drawingShape.to) {
+        drawingShape.to = square;
+        updateBoardArrows();
+    }
+}
+
+function handleShapeMouseUp(e) {
+    if (!drawingShape || e.button !== 2) return;
+
+    const { from, to, color } = drawingShape;
+    drawingShape = null;
+    toggleShape(from === to
+        ? { type: 'circle', square: from, color }
+        : { type: 'arrow', from, to, color });
+}
+
+// Drawing the same shape again removes it; in another color, recolors it
+function toggleShape(shape) {
+    const annotation = currentNode.annotation;
+    const shapes = annotation.shapes || [];
+    const sameSquares = (s) => s.type === shape.type && (shape.type === 'arrow'
+        ? s.from === shape.from && s.to === shape.to
+        : s.square === shape.square);
+
+    const existing = shapes.find(sameSquares);
+    if (!existing) {
+        shapes.push(shape);
+    } else if (existing.color === shape.color) {
+        shapes.splice(shapes.indexOf(existing), 1);
+    } else {
+        existing.color = shape.color;
+    }
+
+    if (shapes.length > 0) {
+        annotation.shapes = shapes;
+    } else {
+        delete annotation.shapes;
+    }
+    updateBoardArrows();
+}
+
+function toggleEngineArrows() {
+    showEngineArrows = document.getElementById('engineArrowsCheckbox').checked;
+    localStorage.setItem('show_engine_arrows', showEngineArrows);
+    updateBoardArrows();
+}
+
+// ============================================
+// Move Tree
+// ============================================
+// Every position reached is a node. The first child of a node is its main
+// continuation; any further children are sidelines branching from it.
+let moveTree = null;
+let currentNode = null;
+let treeNodes = new Map();
+let nextNodeId = 0;
+
+function createNode(parent, move, fen) {
+    const node = {
+        id: nextNodeId++,
+        parent,
+        children: [],
+        san: move ? move.san : null,
+        uci: move ? move.from + move.to + (move.promotion || '') : null,
+        fen,
+        ply: parent ? parent.ply + 1 : 0,
+        annotation: {}
+    };
+    treeNodes.set(node.id, node);
+    return node;
+}
+
+function resetMoveTree(fen) {
+    // Game analysis results, the report and any game, training session, drill or followed game belong to the tree being replaced
+    clearGameAnalysis();
+    cancelReport();
+    stopPlay();
+    stopTraining();
+    stopDrill();
+    stopCoach();
+    stopFollow();
+    treeNodes = new Map();
+    moveTree = createNode(null, null, fen);
+    moveTree.gameKey = createGameKey();
+    currentNode = moveTree;
+    renderCoach();
+    renderReport();
+    document.getElementById('reportBtn').textContent = 'Generate';
+    document.getElementById('reportStatus').textContent = '';
+}
+
+// Return the child reached by a move, creating it (as a sideline if the
+// node already has a continuation) when the move hasn't been played before
+function appendMoveNode(parent, move, fen) {
+    const uci = move.from + move.to + (move.promotion || '');
+    let child = parent.children.find(c => c.uci === uci);
+    if (!child) {
+        child = createNode(parent, move, fen);
+        parent.children.push(child);
+    }
+    return child;
+}
+
+// Record a move that has just been made on `game`
+function addMoveToTree(move) {
+    currentNode = appendMoveNode(currentNode, move, game.fen());
+    return currentNode;
+}
+
+function getNodePath(node) {
+    const path = [];
+    for (let n = node; n.parent; n = n.parent) path.unshift(n);
+    return path;
+}
+
+// Follow first children to the end of the line
+function getLineEnd(node) {
+    let end = node;
+    while (end.children.length > 0) end = end.children[0];
+    return end;
+}
+
+// First move of the variation containing this node, or null on the mainline
+function getVariationStart(node) {
+    for (let n = node; n.parent; n = n.parent) {
+        if (n.parent.children[0] !== n) return n;
+    }
+    return null;
+}
+
+function isInSubtree(node, root) {
+    for (let n = node; n; n = n.parent) {
+        if (n === root) return true;
+    }
+    return false;
+}
+
+// Moves made by the app rather than the user (following a live game,
+// deleting a move) pass `replace` so they don't add a history entry
+function goToNode(node, { replace = false } = {}) {
+    // No taking moves back against the engine or peeking ahead while training
+    if (!node || isPlaying() || isTraining() || isDrilling()) return;
+    showNode(node, { replace });
+}
+
+// Rebuild `game` so its history matches the path to the node
+function showNode(node, { replace = false } = {}) {
+    clearPreview();
+    cancelPromotion();
+
+    game.load(moveTree.fen);
+    for (const n of getNodePath(node)) {
+        game.move(n.san);
+    }
+    currentNode = node;
+
+    board.position(game.fen());
+    updateDisplay();
+    analyzePosition();
+    updateUrl({ replace });
+}
+
+function redoMove() {
+    goToNode(currentNode.children[0]);
+}
+
+// Make the variation containing the current move the main continuation at
+// its branch point
+function promoteVariation() {
+    if (isPlaying() || isTraining() || isDrilling()) return;
+    const start = getVariationStart(currentNode);
+    if (!start || start.parent.children.some(isOnLiveLine)) return;
+
+    const siblings = start.parent.children;
+    siblings.splice(siblings.indexOf(start), 1);
+    siblings.unshift(start);
+    updateMoveHistory();
+    updateEvalGraph();
+    updateUrl({ replace: true });
+}
+
+// Move the variation containing the current move up or down among its siblings
+function moveVariation(offset) {
+    if (isPlaying() || isTraining() || isDrilling()) return;
+    const start = getVariationStart(currentNode);
+    if (!start || start.parent.children.some(isOnLiveLine)) return;
+
+    const siblings = start.parent.children;
+    const from = siblings.indexOf(start);
+    const to = from + offset;
+    if (to < 0 || to >= siblings.length) return;
+
+    siblings.splice(from, 1);
+    siblings.splice(to, 0, start);
+    updateMoveHistory();
+    updateEvalGraph();
+    updateUrl({ replace: true });
+}
+
+// Remove the current move and everything after it
+function deleteFromCurrentNode() {
+    const node = currentNode;
+    if (!node.parent || isPlaying() || isTraining() || isDrilling() || isOnLiveLine(node)) return;
+
+    const siblings = node.parent.children;
+    siblings.splice(siblings.indexOf(node), 1);
+
+    const forget = (n) => {
+        treeNodes.delete(n.id);
+        n.children.forEach(forget);
+    };
+    forget(node);
+
+    goToNode(node.parent, { replace: true });
+}
+
+function updateHistoryActions() {
+    // The tree is off limits during a game against the engine, training or a drill
+    const locked = isPlaying() || isTraining() || isDrilling();
+    let start = locked ? null : getVariationStart(currentNode);
+    if (start && start.parent.children.some(isOnLiveLine)) start = null;
+    const siblings = start ? start.parent.children : [];
+
+    document.getElementById('promoteVariationBtn').disabled = !start;
+    document.getElementById('variationUpBtn').disabled = !start;
+    document.getElementById('variationDownBtn').disabled = !start || siblings.indexOf(start) === siblings.length - 1;
+    document.getElementById('deleteMoveBtn').disabled = locked || !currentNode.parent || isOnLiveLine(currentNode);
+}
+
+function handleHistoryKeys(e) {
+    // Leave arrow keys alone while typing or choosing a promotion piece
+    if (e.target.closest('input, textarea, select') || pendingPromotion) return;
+
+    if (e.key === 'ArrowLeft') {
+        undoMove();
+    } else if (e.key === 'ArrowRight') {
+        redoMove();
+    } else if (e.key === 'Home') {
+        goToNode(moveTree);
+    } else if (e.key === 'End') {
+        goToNode(getLineEnd(currentNode));
+    } else {
+        return;
+    }
+    e.preventDefault();
+}
+
+// ============================================
+// PGN Import / Export
+// ============================================
+const DEFAULT_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+const PGN_RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+const PGN_SEVEN_TAG_ROSTER = {
+    Event: '?',
+    Site: '?',
+    Date: '????.??.??',
+    Round: '?',
+    White: '?',
+    Black: '?',
+    Result: '*'
+};
+// Move suffixes and their equivalent Numeric Annotation Glyphs
+const NAG_SYMBOLS = { 1: '!', 2: '?', 3: '!!', 4: '??', 5: '!?', 6: '?!' };
+const SUFFIX_NAGS = { '!': 1, '?': 2, '!!': 3, '??': 4, '!?': 5, '?!': 6 };
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Split a PGN collection into the text of each game: a tag pair line after
+// movetext starts the next game
+function splitPgnGames(text) {
+    const games = [];
+    let lines = [];
+    let inMovetext = false;
+    let inComment = false;
+
+    text.split(/\r?\n/).forEach(line => {
+        // A line of a {…} comment can start with "[%clk …]" and the like
+        const isTag = !inComment && /^\s*\[\w+\s+"/.test(line);
+        if (isTag && inMovetext) {
+            games.push(lines.join('\n'));
+            lines = [];
+            inMovetext = false;
+        }
+        if (!isTag && line.trim()) {
+            inMovetext = true;
+            for (const ch of line) {
+                if (ch === '{') inComment = true;
+                else if (ch === '}') inComment = false;
+                else if (ch === ';' && !inComment) break;
+            }
+        }
+        lines.push(line);
+    });
+    if (lines.some(line => line.trim())) games.push(lines.join('\n'));
+
+    return games;
+}
+
+// Parse the first game of a PGN into its tag pairs and move list.
+// Variations are kept nested under the move they are an alternative to.
+function parsePgn(text) {
+    const headers = {};
+    const errors = [];
+    let rest = text.replace(/\r\n?/g, '\n');
+
+    // Tag pairs: [Name "Value"]
+    const tagRegex = /^\s*\[\s*(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]/;
+    let tag;
+    while ((tag = rest.match(tagRegex))) {
+        headers[tag[1]] = tag[2].replace(/\\(["\\])/g, '$1');
+        rest = rest.slice(tag[0].length);
+    }
+
+    const moves = [];
+    const stack = [moves];
+    let pendingComment = null;
+    let result = null;
+    let i = 0;
+
+    const lastMove = () => {
+        const line = stack[stack.length - 1];
+        return line[line.length - 1];
+    };
+    const addComment = (comment) => {
+        if (!comment) return;
+        const move = lastMove();
+        if (move) {
+            move.comment = move.comment ? `${move.comment} ${comment}` : comment;
+        } else {
+            // Comment before the first move of a line
+            pendingComment = pendingComment ? `${pendingComment} ${comment}` : comment;
+        }
+    };
+
+    while (i < rest.length && !result) {
+        const ch = rest[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (ch === '{') {
+            const end = rest.indexOf('}', i + 1);
+            if (end === -1) {
+                errors.push({ message: 'Unterminated comment' });
+                break;
+            }
+            addComment(rest.slice(i + 1, end).replace(/\s+/g, ' ').trim());
+            i = end + 1;
+        } else if (ch === ';' || (ch === '%' && (i === 0 || rest[i - 1] === '\n'))) {
+            // Rest-of-line comment or escape line
+            const end = rest.indexOf('\n', i);
+            if (ch === ';') addComment(rest.slice(i + 1, end === -1 ? undefined : end).trim());
+            i = end === -1 ? rest.length : end + 1;
+        } else if (ch === '(') {
+            const variation = [];
+            const move = lastMove();
+            if (move) {
+                move.variations.push(variation);
+            } else {
+                errors.push({ message: 'Variation has no move to replace' });
+            }
+            stack.push(variation);
+            i++;
+        } else if (ch === ')') {
+            if (stack.length > 1) {
+                stack.pop();
+            } else {
+                errors.push({ message: 'Unmatched ")"' });
+            }
+            i++;
+        } else if (ch === '}') {
+            errors.push({ message: 'Unmatched "}"' });
+            i++;
+        } else {
+            const token = rest.slice(i).match(/^[^\s{}();]+/)[0];
+            i += token.length;
+
+            if (PGN_RESULTS.includes(token)) {
+                // A result inside a variation is meaningless; at the top level it ends the game
+                if (stack.length === 1) result = token;
+                continue;
+            }
+
+            const nagMatch = token.match(/^\$(\d+)$/);
+            if (nagMatch) {
+                const move = lastMove();
+                if (move) move.nags.push(parseInt(nagMatch[1]));
+                continue;
+            }
+
+            // Move numbers may be separate or glued to the move: "12.", "12.Nf3", "12...Nf6"
+            let san = token.replace(/^\d+\.+/, '').replace(/^\.+/, '');
+            if (!san || /^\d+$/.test(san)) continue;
+
+            // Castling written with zeros
+            san = san.replace(/^0-0-0/, 'O-O-O').replace(/^0-0/, 'O-O');
+
+            const nags = [];
+            const suffix = san.match(/[!?]+$/);
+            if (suffix) {
+                san = san.slice(0, -suffix[0].length);
+                if (SUFFIX_NAGS[suffix[0]]) nags.push(SUFFIX_NAGS[suffix[0]]);
+            }
+
+            stack[stack.length - 1].push({
+                san,
+                nags,
+                comment: null,
+                preComment: pendingComment,
+                variations: []
+            });
+            pendingComment = null;
+        }
+    }
+
+    if (stack.length > 1) {
+        errors.push({ message: 'Unterminated variation' });
+    }
+
+    return { headers, moves, result, errors };
+}
+
+// Label a move the way it appears in PGN: "12. Nf3" or "12... Nf6"
+function formatMoveLabel(fen, san) {
+    const [, turn, , , , fullMove] = fen.split(' ');
+    return `${fullMove}${turn === 'w' ? '.' : '...'} ${san}`;
+}
+
+function describeIllegalMove(san) {
+    const sanPattern = /^(O-O(-O)?|[KQRBN][a-h]?[1-8]?x?[a-h][1-8]|[a-h](x[a-h])?[1-8](=?[QRBNqrbn])?|[a-h][1-8]-?[a-h][1-8][qrbn]?)[+#]?$/;
+    return sanPattern.test(san) ? 'Illegal move in this position' : 'Unrecognized move notation';
+}
+
+// Split the embedded commands we understand ([%eval], [%cal], [%csl]) out of
+// a PGN comment; the remaining text stays as the comment
+function parsePgnComment(comment) {
+    const parsed = {};
+    let text = comment || '';
+
+    const evalMatch = text.match(/\[%eval\s+(#?-?\d+(?:\.\d+)?)(?:,(\d+))?\]/);
+    if (evalMatch) {
+        parsed.eval = pgnEvalToEvalString(evalMatch[1]);
+        if (evalMatch[2]) parsed.depth = parseInt(evalMatch[2]);
+        text = text.replace(evalMatch[0], '');
+    }
+
+    // Arrows ([%cal Ge2e4,Rd1d8]) and circled squares ([%csl Gd4])
+    const shapes = [];
+    text = text.replace(/\[%(cal|csl)\s+([^\]]*)\]/g, (match, command, list) => {
+        list.split(',').forEach(item => {
+            const shape = item.trim().match(/^([GRBY])([a-h][1-8])([a-h][1-8])?$/);
+            if (!shape) return;
+            if (command === 'cal' && shape[3]) {
+                shapes.push({ type: 'arrow', color: shape[1], from: shape[2], to: shape[3] });
+            } else if (command === 'csl' && !shape[3]) {
+                shapes.push({ type: 'circle', color: shape[1], square: shape[2] });
+            }
+        });
+        return '';
+    });
+    if (shapes.length > 0) parsed.shapes = shapes;
+
+    parsed.text = text.replace(/\s+/g, ' ').trim();
+    return parsed;
+}
+
+function annotationFromPgn(move) {
+    const annotation = {};
+    const { text, ...commands } = parsePgnComment(move.comment);
+
+    Object.assign(annotation, commands);
+    if (text) annotation.comment = text;
+    if (move.nags.length > 0) annotation.nags = move.nags;
+    return annotation;
+}
+
+// Add a line of parsed moves (and, recursively, its variations) below a tree
+// node, collecting an error for each move that cannot be played. A line stops
+// at its first bad move; other lines carry on.
+function addPgnLine(parent, pgnMoves, errors) {
+    let node = parent;
+
+    for (let index = 0; index < pgnMoves.length; index++) {
+        const pgnMove = pgnMoves[index];
+        const chess = new Chess(node.fen);
+        const move = chess.move(pgnMove.san, { sloppy: true });
+
+        if (!move) {
+            errors.push({ move: formatMoveLabel(node.fen, pgnMove.san), message: describeIllegalMove(pgnMove.san) });
+            const skipped = pgnMoves.length - index - 1;
+            if (skipped > 0) {
+                errors.push({ message: `${skipped} later move${skipped === 1 ? '' : 's'} in this line not loaded` });
+            }
+            return;
+        }
+
+        const child = appendMoveNode(node, move, chess.fen());
+        Object.assign(child.annotation, annotationFromPgn(pgnMove));
+
+        // A comment before the move describes the position it is played from
+        if (pgnMove.preComment) {
+            const { text, shapes } = parsePgnComment(pgnMove.preComment);
+            if (text) child.annotation.preComment = text;
+            if (shapes) node.annotation.shapes = [...(node.annotation.shapes || []), ...shapes];
+        }
+
+        // Variations are alternatives to this move, so they branch from the same position
+        for (const variation of pgnMove.variations) {
+            addPgnLine(node, variation, errors);
+        }
+        node = child;
+    }
+}
+
+// Load a PGN into the main game. Returns the list of problems found
+// (empty if the whole game loaded cleanly).
+function loadPgn(text) {
+    const parsed = parsePgn(text);
+    const errors = [...parsed.errors];
+    if (parsed.moves.length === 0 && !parsed.headers.FEN) {
+        return [...errors, { message: 'No moves found in PGN' }];
+    }
+
+    let startFen = DEFAULT_FEN;
+    if (parsed.headers.FEN) {
+        const validation = game.validate_fen(parsed.headers.FEN);
+        if (!validation.valid) {
+            return [...errors, { message: `Invalid FEN tag: ${validation.error}` }];
+        }
+        startFen = parsed.headers.FEN;
+    }
+
+    gameHeaders = parsed.headers;
+    if (parsed.result && !gameHeaders.Result) gameHeaders.Result = parsed.result;
+    resetMoveTree(new Chess(startFen).fen());
+    addPgnLine(moveTree, parsed.moves, errors);
+    moveTree.gameKey = getPgnGameKey();
+
+    // Show the final position of the mainline
+    goToNode(getLineEnd(moveTree));
+    loadCoachChat();
+
+    return errors;
+}
+
+// Engine eval strings ("+0.34", "M-3") <-> PGN [%eval] values ("0.34", "#-3")
+function evalStringToPgnEval(evalStr) {
+    if (evalStr.startsWith('M')) return `#${evalStr.substring(1)}`;
+    return parseFloat(evalStr).toFixed(2);
+}
+
+function pgnEvalToEvalString(pgnEval) {
+    if (pgnEval.startsWith('#')) return `M${pgnEval.substring(1)}`;
+    const value = parseFloat(pgnEval);
+    return (value > 0 ? '+' : '') + value.toFixed(2);
+}
+
+// Result decided on the board at the end of the mainline, else the imported one
+function getGameResult() {
+    const final = new Chess(getLineEnd(moveTree).fen);
+    if (final.in_checkmate()) return final.turn() === 'w' ? '0-1' : '1-0';
+    if (final.in_draw()) return '1/2-1/2';
+    return gameHeaders.Result || '*';
+}
+
+function formatPgnComment(text) {
+    // Braces cannot be escaped inside a PGN comment
+    return `{${text.replace(/[{}]/g, '')}}`;
+}
+
+function formatPgnShapes(shapes) {
+    const parts = [];
+    const circles = shapes.filter(s => s.type === 'circle').map(s => s.color + s.square);
+    const arrows = shapes.filter(s => s.type === 'arrow').map(s => s.color + s.from + s.to);
+    if (circles.length > 0) parts.push(`[%csl ${circles.join(',')}]`);
+    if (arrows.length > 0) parts.push(`[%cal ${arrows.join(',')}]`);
+    return parts.join(' ');
+}
+
+// Comment written after a move: engine eval of the resulting position, the
+// user's arrows and circles on it, any imported comment, and Claude's
+// explanation if the move was explained
+function buildMoveComment(annotationBefore, annotationAfter, san) {
+    const parts = [];
+    if (annotationAfter.eval) parts.push(`[%eval ${evalStringToPgnEval(annotationAfter.eval)}]`);
+    if (annotationAfter.shapes) parts.push(formatPgnShapes(annotationAfter.shapes));
+    if (annotationAfter.comment) parts.push(annotationAfter.comment);
+    const explanation = annotationBefore.explanations?.[san];
+    if (explanation) parts.push(formatExplanationText(explanation));
+    if (annotationAfter.reportComment) parts.push(annotationAfter.reportComment);
+    return parts.join(' ');
+}
+
+// Wrap movetext units at the given width. A unit ("12. Nf3") is never split.
+function wrapPgnText(units, width) {
+    const lines = [];
+    let line = '';
+    for (const word of units) {
+        if (line && line.length + word.length + 1 > width) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = line ? `${line} ${word}` : word;
+        }
+    }
+    if (line) lines.push(line);
+    return lines.join('\n');
+}
+
+// Write a line of the tree as movetext units, starting with `node` and
+// following first children; sidelines are written in parentheses right after
+// the move they are an alternative to
+function writePgnLine(node, units) {
+    let needsNumber = true;
+
+    for (let n = node; n; n = n.children[0]) {
+        const annotation = n.annotation;
+        const [, turn, , , , fullMove] = n.parent.fen.split(' ');
+
+        if (annotation.preComment) {
+            units.push(...formatPgnComment(annotation.preComment).split(' '));
+        }
+        if (turn === 'w') {
+            units.push(`${fullMove}. ${n.san}`);
+        } else if (needsNumber || annotation.preComment) {
+            units.push(`${fullMove}... ${n.san}`);
+        } else {
+            units.push(n.san);
+        }
+        (annotation.nags || []).forEach(nag => units.push(`$${nag}`));
+
+        const comment = buildMoveComment(n.parent.annotation, annotation, n.san);
+        if (comment) units.push(...formatPgnComment(comment).split(' '));
+
+        // Black's move needs its own number after a comment or variation
+        needsNumber = Boolean(comment);
+
+        const siblings = n.parent.children;
+        if (siblings[0] === n) {
+            for (const sideline of siblings.slice(1)) {
+                const variation = [];
+                writePgnLine(sideline, variation);
+                variation[0] = `(${variation[0]}`;
+                variation[variation.length - 1] += ')';
+                units.push(...variation);
+                needsNumber = true;
+            }
+        }
+    }
+}
+
+function buildPgn() {
+    const startFen = moveTree.fen;
+    const result = getGameResult();
+
+    // Seven Tag Roster first, then any other imported tags
+    const headers = { ...PGN_SEVEN_TAG_ROSTER, ...gameHeaders, Result: result };
+    delete headers.SetUp;
+    delete headers.FEN;
+    if (startFen !== DEFAULT_FEN) {
+        headers.SetUp = '1';
+        headers.FEN = startFen;
+    }
+    const headerText = Object.entries(headers)
+        .map(([name, value]) => `[${name} "${String(value).replace(/[\\"]/g, '\\$&')}"]`)
+        .join('\n');
+
+    const units = [];
+    if (moveTree.report) {
+        units.push(...formatPgnComment(moveTree.report.narrative).split(' '));
+    }
+    if (moveTree.annotation.shapes) {
+        units.push(...formatPgnComment(formatPgnShapes(moveTree.annotation.shapes)).split(' '));
+    }
+    if (moveTree.children.length > 0) {
+        writePgnLine(moveTree.children[0], units);
+    }
+    units.push(result);
+
+    return `${headerText}\n\n${wrapPgnText(units, 80)}\n`;
+}
+
+function openPgnModal(mode) {
+    const modal = document.getElementById('pgnModal');
+    const textarea = document.getElementById('pgnText');
+    const isImport = mode === 'import';
+
+    document.getElementById('pgnModalTitle').textContent = isImport ? 'Import PGN' : 'Export PGN';
+    document.getElementById('loadPgnBtn').style.display = isImport ? '' : 'none';
+    document.getElementById('copyPgnBtn').style.display = isImport ? 'none' : '';
+    document.getElementById('downloadPgnBtn').style.display = isImport ? 'none' : '';
+    document.getElementById('pgnErrors').innerHTML = '';
+
+    textarea.readOnly = !isImport;
+    textarea.value = isImport ? '' : buildPgn();
+    modal.classList.add('active');
+    textarea.focus();
+}
+
+function closePgnModal() {
+    document.getElementById('pgnModal').classList.remove('active');
+}
+
+function importPgnFromModal() {
+    const text = document.getElementById('pgnText').value.trim();
+    if (!text) return;
+
+    const errors = loadPgn(text);
+    if (errors.length === 0) {
+        closePgnModal();
+        return;
+    }
+
+    document.getElementById('pgnErrors').innerHTML = errors.map(e => `
+        <div class="pgn-error">
+            ${e.move ? `<span class="pgn-error-move">${escapeHtml(e.move)}</span>` : ''}
+            <span>${escapeHtml(e.message)}</span>
+        </div>
+    `).join('');
+}
+
+function copyPgn() {
+    const pgn = document.getElementById('pgnText').value;
+    navigator.clipboard.writeText(pgn).then(() => {
+        const btn = document.getElementById('copyPgnBtn');
+        btn.textContent = 'Copied!';
+        setTimeout(() => btn.textContent = 'Copy', 1500);
+    });
+}
+
+function downloadPgn() {
+    const pgn = document.getElementById('pgnText').value;
+    const blob = new Blob([pgn], { type: 'application/x-chess-pgn' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'game.pgn';
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// ============================================
+// Display updates
+// ============================================
+function updateDisplay() {
+    // Turn indicator
+    const isWhite = game.turn() === 'w';
+    document.getElementById('turnDot').className = 'turn-dot' + (isWhite ? '' : ' black');
+    document.getElementById('turnText').textContent = isWhite ? 'White to move' : 'Black to move';
+
+    // Move count
+    const fullMoves = Math.floor(game.history().length / 2) + 1;
+    document.getElementById('moveCount').textContent = `Move ${fullMoves}`;
+
+    // FEN display
+    updateFenDisplay();
+
+    // Move history
+    updateMoveHistory();
+    updateEvalGraph();
+    updateBoardArrows();
+    renderRepertoire();
+    renderFollowBar();
+}
+
+function updateMoveHistory() {
+    const container = document.getElementById('moveHistory');
+    updateHistoryActions();
+
+    // While training, moves after the current position stay hidden
+    const endNode = isTraining() ? currentNode : null;
+    if (moveTree.children.length === 0 || endNode === moveTree) {
+        container.innerHTML = '<div class="empty-state">No moves yet</div>';
+        return;
+    }
+
+    container.innerHTML = renderHistoryLine(moveTree.children[0], endNode);
+}
+
+// Render a line of the tree as move pairs, with each node's sidelines nested
+// in a variation block right after the move they replace. With an end node,
+// only the moves up to it are shown.
+function renderHistoryLine(node, endNode) {
+    let html = '';
+    let pairOpen = false;
+    let needsNumber = true;
+
+    const closePair = () => {
+        if (pairOpen) html += '</div>';
+        pairOpen = false;
+    };
+
+    for (let n = node; n; n = n.children[0]) {
+        const [, turn, , , , fullMove] = n.parent.fen.split(' ');
+        if (turn === 'w' || needsNumber) {
+            closePair();
+            html += `<div class="move-pair">
+                <span class="move-number">${fullMove}${turn === 'w' ? '.' : '...'}</span>`;
+            pairOpen = true;
+        }
+        needsNumber = false;
+
+        // Annotation glyphs (!, ?!, ...) imported from PGN, else the game analysis verdict
+        const annotation = n.annotation;
+        const classification = annotation.classification;
+        const glyphs = annotation.nags
+            ? annotation.nags.map(nag => NAG_SYMBOLS[nag] || '').join('')
+            : CLASSIFICATION_SYMBOLS[classification] || '';
+
+        const titleParts = [];
+        if (classification) {
+            titleParts.push(`${CLASSIFICATION_LABELS[classification]} (-${annotation.winProbLoss.toFixed(1)}% win chance)`);
+        }
+        if (annotation.comment) titleParts.push(annotation.comment);
+        const title = titleParts.length > 0 ? ` title="${escapeHtml(titleParts.join('\n'))}"` : '';
+
+        const classes = [turn === 'w' ? 'move-white' : 'move-black'];
+        if (classification) classes.push(`class-${classification}`);
+        if (n === currentNode) classes.push('current');
+        html += `<span class="${classes.join(' ')}" data-node="${n.id}"${title}>${n.san}${glyphs}</span>`;
+        if (endNode) {
+            if (n === endNode) break;
+            continue;
+        }
+
+        const siblings = n.parent.children;
+        if (siblings[0] === n && siblings.length > 1) {
+            closePair();
+            siblings.slice(1).forEach(sideline => {
+                html += `<div class="variation">${renderHistoryLine(sideline)}</div>`;
+            });
+            needsNumber = true;
+        }
+    }
+
+    closePair();
+    return html;
+}
+
+// ============================================
+// Engine Settings
+// ============================================
+// Search mode and UCI options for live analysis. Saved in localStorage and
+// taking precedence over CONFIG.engine.
+const ENGINE_MODES = {
+    depth: { label: 'Depth', unit: 'plies', min: 1, max: 40 },
+    infinite: { label: 'Infinite', unit: 'plies, then keep searching', min: 1, max: 40 },
+    movetime: { label: 'Time', unit: 'seconds', min: 1, max: 600 },
+    nodes: { label: 'Nodes', unit: 'thousand', min: 1, max: 1000000 }
+};
+
+let engineSettings = loadEngineSettings();
+// Whether the live engine is searching, and how many bestmove replies belong
+// to searches we've stopped and should be ignored
+let engineSearching = false;
+let staleBestmoves = 0;
+// Set once the current search's results have been recorded (infinite mode
+// does this at its target depth and keeps searching)
+let analysisFinalized = false;
+
+function loadEngineSettings() {
+    const config = (typeof CONFIG !== 'undefined' && CONFIG.engine) || {};
+    const defaults = {
+        build: config.build || 'nnue',
+        mode: config.mode || 'depth',
+        depth: config.depth || 18,
+        movetime: config.movetime || 5,
+        nodes: config.nodes || 2000,
+        multiPV: config.multiPV || 4,
+        threads: config.threads || 1,
+        hash: config.hash || 16
+    };
+    try {
+        return { ...defaults, ...JSON.parse(localStorage.getItem('engine_settings') || '{}') };
+    } catch (e) {
+        return defaults;
+    }
+}
+
+function saveEngineSettings() {
+    localStorage.setItem('engine_settings', JSON.stringify(engineSettings));
+}
+
+function getEngineGoCommand() {
+    switch (engineSettings.mode) {
+        case 'infinite': return 'go infinite';
+        case 'movetime': return `go movetime ${engineSettings.movetime * 1000}`;
+        case 'nodes': return `go nodes ${engineSettings.nodes * 1000}`;
+        default: return `go depth ${engineSettings.depth}`;
+    }
+}
+
+function sendEngineOptions() {
+    stockfish.postMessage(`setoption name Threads value ${Math.min(engineSettings.threads, getEngineMaxThreads())}`);
+    stockfish.postMessage(`setoption name Hash value ${engineSettings.hash}`);
+    stockfish.postMessage(`setoption name MultiPV value ${engineSettings.multiPV}`);
+}
+
+function stopEngineSearch() {
+    if (!stockfish) return;
+    if (engineSearching) {
+        engineSearching = false;
+        staleBestmoves++;
+    }
+    stockfish.postMessage('stop');
+}
+
+function toggleEngineSettings() {
+    document.getElementById('engineSettings').classList.toggle('active');
+}
+
+function renderEngineSettings() {
+    const mode = ENGINE_MODES[engineSettings.mode];
+    const valueKey = engineSettings.mode === 'infinite' ? 'depth' : engineSettings.mode;
+    document.getElementById('engineBuild').value = engineSettings.build;
+    document.getElementById('engineMode').value = engineSettings.mode;
+    const valueInput = document.getElementById('engineModeValue');
+    valueInput.min = mode.min;
+    valueInput.max = mode.max;
+    valueInput.value = engineSettings[valueKey];
+    document.getElementById('engineModeUnit').textContent = mode.unit;
+    document.getElementById('engineMultiPV').value = engineSettings.multiPV;
+    const threads = document.getElementById('engineThreads');
+    threads.max = getEngineMaxThreads();
+    threads.value = Math.min(engineSettings.threads, getEngineMaxThreads());
+    threads.disabled = getEngineMaxThreads() === 1;
+    threads.title = getEngineBuild().threaded() ? '' : 'This engine build runs single-threaded (threads need a cross-origin isolated page)';
+    document.getElementById('engineHash').value = engineSettings.hash;
+}
+
+function handleEngineSettingsChange(e) {
+    const readNumber = (id, min, max) => {
+        const value = parseInt(document.getElementById(id).value);
+        return Math.min(max, Math.max(min, Number.isNaN(value) ? min : value));
+    };
+
+    if (e.target.id === 'engineBuild') {
+        engineSettings.build = e.target.value;
+        saveEngineSettings();
+        restartStockfish();
+        renderEngineSettings();
+        return;
+    }
+
+    if (e.target.id === 'engineMode') {
+        engineSettings.mode = e.target.value;
+    } else {
+        const mode = ENGINE_MODES[engineSettings.mode];
+        const valueKey = engineSettings.mode === 'infinite' ? 'depth' : engineSettings.mode;
+        engineSettings[valueKey] = readNumber('engineModeValue', mode.min, mode.max);
+        engineSettings.multiPV = readNumber('engineMultiPV', 1, 8);
+        // Keep the saved thread count when this build can only run one
+        if (getEngineMaxThreads() > 1) {
+            engineSettings.threads = readNumber('engineThreads', 1, getEngineMaxThreads());
+        }
+        engineSettings.hash = readNumber('engineHash', 1, 1024);
+    }
+    saveEngineSettings();
+    renderEngineSettings();
+
+    // Options can only be changed while the engine is idle; restart the search
+    if (stockfish) {
+        stopEngineSearch();
+        sendEngineOptions();
+    }
+    analyzePosition();
+}
+
+function updateEngineStats(line) {
+    const npsMatch = line.match(/ nps (\d+)/);
+    const hashMatch = line.match(/ hashfull (\d+)/);
+    if (!npsMatch && !hashMatch) return;
+
+    const parts = [];
+    if (npsMatch) {
+        const nps = parseInt(npsMatch[1]);
+        parts.push(nps >= 1e6 ? `${(nps / 1e6).toFixed(1)}M nps` : `${Math.round(nps / 1000)}k nps`);
+    }
+    if (hashMatch) parts.push(`hash ${Math.round(parseInt(hashMatch[1]) / 10)}%`);
+    document.getElementById('engineStats').textContent = parts.join(' · ');
+}
+
+// ============================================
+// Stockfish Analysis
+// ============================================
+let analysisLines = {};
+let currentDepth = 0;
+// Candidate lines (by first move) whose full continuation is shown
+let expandedPvs = new Set();
+// Plies of a continuation shown before it is expanded
+const PV_PREVIEW_PLIES = 8;
+
+function analyzePosition() {
+    // Stop the running search first so none of its output lands in the
+    // cleared analysis below
+    if (analysisTimeout) clearTimeout(analysisTimeout);
+    stopEngineSearch();
+
+    // Clear previous analysis
+    cancelExplanations();
+    analysisLines = {};
+    currentAnalysis = [];
+    currentDepth = 0;
+    expandedPvs = new Set();
+    clearTablebase();
+    updateBoardArrows();
+
+    // Analysis stays off while playing against the engine or drilling the repertoire
+    if (isPlaying() || isDrilling()) {
+        document.getElementById('engineDepth').textContent = 'Paused';
+        return;
+    }
+
+    // Handle game-over states — Stockfish can't analyze terminal positions
+    if (game.game_over()) {
+        let message = 'Game over';
+        if (game.in_checkmate()) {
+            const winner = game.turn() === 'w' ? 'Black' : 'White';
+            message = `Checkmate — ${winner} wins`;
+        } else if (game.in_stalemate()) {
+            message = 'Stalemate — Draw';
+        } else if (game.in_threefold_repetition()) {
+            message = 'Threefold repetition — Draw';
+        } else if (game.insufficient_material()) {
+            message = 'Insufficient material — Draw';
+        } else if (game.in_draw()) {
+            message = 'Draw';
+        }
+        document.getElementById('engineDepth').textContent = 'Game over';
+        document.getElementById('moveList').innerHTML = `<div class="empty-state">${message}</div>`;
+        return;
+    }
+
+    document.getElementById('engineDepth').textContent = 'Analyzing...';
+    document.getElementById('moveList').innerHTML = '<div class="empty-state">Analyzing position...</div>';
+
+    // Debounce analysis
+    analysisTimeout = setTimeout(() => {
+        if (stockfish) {
+            stockfish.postMessage(`position fen ${game.fen()}`);
+            stockfish.postMessage(getEngineGoCommand());
+            engineSearching = true;
+            analysisFinalized = false;
+        }
+
+        // Also fetch opening book and tablebase data
+        fetchOpeningData();
+        fetchTablebase();
+    }, 100);
+}
+
+function handleStockfishMessage(event) {
+    const line = event.data;
+
+    // Output of a search we stopped, for a position we've left
+    if (staleBestmoves > 0) {
+        if (line.startsWith('bestmove')) staleBestmoves--;
+        return;
+    }
+
+    if (line.startsWith('id name ')) {
+        engineName = line.slice(8).trim();
+        document.getElementById('engineName').textContent = engineName;
+        renderEngineSettings();
+        return;
+    }
+
+    if (line.startsWith('info')) updateEngineStats(line);
+    if (line.startsWith('info depth')) {
+        parseAnalysisLine(line);
+    } else if (line.startsWith('bestmove')) {
+        engineSearching = false;
+        if (!analysisFinalized) finalizeAnalysis();
+    }
+}
+
+function parseAnalysisLine(line) {
+    const depthMatch = line.match(/depth (\d+)/);
+    const multipvMatch = line.match(/multipv (\d+)/);
+    const scoreMatch = line.match(/score (cp|mate) (-?\d+)/);
+    const pvMatch = line.match(/ pv (.+)/);
+
+    if (!depthMatch || !multipvMatch || !scoreMatch || !pvMatch) return;
+
+    const depth = parseInt(depthMatch[1]);
+    const multipv = parseInt(multipvMatch[1]);
+    const scoreType = scoreMatch[1];
+    const scoreValue = parseInt(scoreMatch[2]);
+    const pv = pvMatch[1].split(' ');
+
+    // Infinite analysis never ends by itself: once the target depth is
+    // complete, record it and explain it, then keep deepening
+    if (engineSettings.mode === 'infinite' && !analysisFinalized && depth > engineSettings.depth) {
+        finalizeAnalysis();
+    }
+
+    // Only update if this is a new depth for this line
+    if (depth >= currentDepth) {
+        currentDepth = depth;
+
+        // Convert UCI move to SAN
+        const tempGame = new Chess(game.fen());
+        const uciMove = pv[0];
+        const from = uciMove.substring(0, 2);
+        const to = uciMove.substring(2, 4);
+        const promotion = uciMove.length > 4 ? uciMove[4] : undefined;
+
+        const move = tempGame.move({ from, to, promotion });
+        if (!move) return;
+
+        const evalScore = formatEngineScore(scoreType, scoreValue, game.turn());
+
+        analysisLines[multipv] = {
+            move: move.san,
+            uci: uciMove,
+            eval: evalScore,
+            depth: depth,
+            pv: pv
+        };
+
+        // Update display at certain depths
+        if (depth >= 10 && depth % 2 === 0) {
+            updateAnalysisDisplay();
+        }
+    }
+}
+
+// Convert a UCI score to an eval string from White's perspective ("+0.34", "M-3").
+// [%eval] in PGN, the eval graph and game analysis all read evals this way.
+function formatEngineScore(scoreType, scoreValue, turn) {
+    // Stockfish gives cp and mate scores from the side to move's perspective
+    const whiteScore = turn === 'w' ? scoreValue : -scoreValue;
+    if (scoreType === 'mate') {
+        return `M${whiteScore}`;
+    }
+    const evalScore = (whiteScore / 100).toFixed(2);
+    return whiteScore > 0 ? '+' + evalScore : evalScore;
+}
+
+function finalizeAnalysis() {
+    analysisFinalized = true;
+    updateAnalysisDisplay();
+
+    // Remember the engine's verdict for this position (exported as [%eval])
+    const bestLine = analysisLines[1];
+    if (bestLine) {
+        const annotation = currentNode.annotation;
+        annotation.eval = bestLine.eval;
+        annotation.depth = bestLine.depth;
+        annotation.bestMove = bestLine.uci;
+        updateEvalGraph();
+    }
+
+    if (isTraining()) {
+        handleTrainingAnalysis();
+        return;
+    }
+
+    // Auto-explain if checkbox is checked
+    const autoExplain = document.getElementById('autoExplainCheckbox').checked;
+    if (autoExplain && isLlmConfigured() && currentAnalysis.length > 0) {
+        fetchExplanations();
+    }
+}
+
+// Convert an eval string to White's win probability (0-100)
+function winProbability(evalStr) {
+    if (evalStr.startsWith('M')) {
+        return evalStr.startsWith('M-') ? 0 : 100;
+    }
+    const cp = parseFloat(evalStr) * 100;
+    // Using Lichess formula: winProb = 50 + 50 * (2 / (1 + exp(-0.00368208 * cp)) - 1)
+    return 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * cp)) - 1);
+}
+
+function updateEvalDisplay(evalStr) {
+    showEval(evalStr, winProbability(evalStr));
+}
+
+function showEval(text, winProb) {
+    const scoreEl = document.getElementById('evalScore');
+    const barEl = document.getElementById('winProbWhite');
+
+    scoreEl.textContent = text;
+
+    barEl.style.width = `${winProb}%`;
+
+    // Color the score based on advantage
+    if (winProb > 55) {
+        scoreEl.style.color = 'var(--text-primary)';
+    } else if (winProb < 45) {
+        scoreEl.style.color = 'var(--text-muted)';
+    } else {
+        scoreEl.style.color = 'var(--text-secondary)';
+    }
+}
+
+function updateAnalysisDisplay() {
+    document.getElementById('engineDepth').textContent = `Depth ${currentDepth}`;
+
+    // Evals are from White's perspective, so the best move for Black has the
+    // lowest one: flip the order when Black is to move
+    const sign = game.turn() === 'w' ? 1 : -1;
+    const moves = Object.values(analysisLines).sort((a, b) => {
+        // Sort by eval (best first)
+        const evalA = parseEval(a.eval);
+        const evalB = parseEval(b.eval);
+        return sign * (evalB - evalA);
+    });
+
+    if (moves.length === 0) {
+        document.getElementById('moveList').innerHTML = '<div class="empty-state">No legal moves</div>';
+        return;
+    }
+
+    currentAnalysis = moves;
+    updateBoardArrows();
+
+    // Update the eval bar with best move's eval, unless the tablebase knows
+    // the exact result
+    const tablebase = getTablebaseData();
+    const tablebaseEval = tablebase && getTablebaseEval(tablebase);
+    if (tablebaseEval) {
+        showEval(tablebaseEval.text, tablebaseEval.winProb);
+    } else if (moves.length > 0) {
+        updateEvalDisplay(moves[0].eval);
+    }
+
+    const autoExplain = document.getElementById('autoExplainCheckbox').checked;
+    let defaultExplanation;
+    if (!isLlmConfigured()) {
+        defaultExplanation = 'Set up AI settings for explanations';
+    } else if (autoExplain) {
+        defaultExplanation = 'Waiting for Stockfish...';
+    } else {
+        defaultExplanation = 'Click "Explain Moves" for analysis';
+    }
+
+    let html = '';
+    moves.forEach((m, i) => {
+        const evalClass = getEvalClass(m.eval);
+        const isBest = i === 0;
+        const tablebaseMove = tablebase?.moves?.find(tm => tm.uci === m.uci);
+        let tablebaseBadge = '';
+        if (tablebaseMove) {
+            const category = TABLEBASE_CATEGORIES[getTablebaseMoveCategory(tablebaseMove)];
+            tablebaseBadge = `<div class="tablebase-result tb-${category.result || 'unknown'}">TB ${category.label}</div>`;
+        }
+
+        html += `<div class="move-item${isBest ? ' best' : ''}" data-move="${m.uci}">
+            <span class="move-rank">#${i + 1}</span>
+            <div>
+                <div class="move-notation">${m.move}</div>
+                <div class="move-eval ${evalClass}">${m.eval}</div>
+                ${tablebaseBadge}
+            </div>
+            <div class="move-explanation" id="explanation-${i}">
+                ${defaultExplanation}
+            </div>
+            ${renderPv(m)}
+        </div>`;
+    });
+
+    document.getElementById('moveList').innerHTML = html;
+
+    // Add hover and click handlers
+    document.querySelectorAll('.move-item').forEach(el => {
+        const line = moves.find(m => m.uci === el.dataset.move);
+
+        el.addEventListener('mouseenter', () => {
+            const uci = el.dataset.move;
+            previewMove(uci);
+        });
+        el.addEventListener('mouseleave', clearPreview);
+        el.addEventListener('click', () => {
+            const uci = el.dataset.move;
+            playAnalysisMove(uci);
+        });
+
+        // Moves inside the continuation preview and play their own position
+        el.querySelectorAll('.pv-move').forEach(moveEl => {
+            const ply = parseInt(moveEl.dataset.ply);
+            moveEl.addEventListener('mouseenter', () => previewPvMove(line, ply));
+            moveEl.addEventListener('mouseleave', () => previewMove(line.uci));
+            moveEl.addEventListener('click', (e) => {
+                e.stopPropagation();
+                playPvLine(line, ply);
+            });
+        });
+
+        const toggle = el.querySelector('.pv-toggle');
+        if (toggle) {
+            toggle.addEventListener('click', (e) => {
+                e.stopPropagation();
+                togglePv(line.uci);
+            });
+        }
+    });
+
+    // Keep explanations already shown for this position
+    if (explanationRequest?.fen === game.fen()) {
+        moves.forEach(m => renderExplanation(m.move));
+    }
+}
+
+// Convert a line's UCI continuation to moves with SAN and the position after
+// each one. Stops at the first move that isn't legal (shouldn't happen).
+function getPvMoves(line) {
+    if (line.pvMoves) return line.pvMoves;
+
+    const tempGame = new Chess(game.fen());
+    const pvMoves = [];
+    for (const uci of line.pv) {
+        const fenBefore = tempGame.fen();
+        const move = tempGame.move({
+            from: uci.substring(0, 2),
+            to: uci.substring(2, 4),
+            promotion: uci.length > 4 ? uci[4] : undefined
+        });
+        if (!move) break;
+        pvMoves.push({ uci, move, fenBefore, fen: tempGame.fen() });
+    }
+
+    line.pvMoves = pvMoves;
+    return pvMoves;
+}
+
+function renderPv(line) {
+    const pvMoves = getPvMoves(line);
+    if (pvMoves.length < 2) return '';
+
+    const expanded = expandedPvs.has(line.uci);
+    const shown = expanded ? pvMoves : pvMoves.slice(0, PV_PREVIEW_PLIES);
+
+    const html = shown.map((m, ply) => {
+        const [, turn, , , , fullMove] = m.fenBefore.split(' ');
+        let number = '';
+        if (turn === 'w') number = `${fullMove}. `;
+        else if (ply === 0) number = `${fullMove}... `;
+        return `<span class="pv-move" data-ply="${ply}">${number}${m.move.san}</span>`;
+    }).join(' ');
+
+    let toggle = '';
+    if (pvMoves.length > PV_PREVIEW_PLIES) {
+        toggle = `<button class="pv-toggle">${expanded ? 'less' : `+${pvMoves.length - PV_PREVIEW_PLIES} more`}</button>`;
+    }
+
+    return `<div class="move-pv">${html} ${toggle}</div>`;
+}
+
+function togglePv(uci) {
+    if (expandedPvs.has(uci)) {
+        expandedPvs.delete(uci);
+    } else {
+        expandedPvs.add(uci);
+    }
+    updateAnalysisDisplay();
+}
+
+// Show the position reached after a given ply of a candidate line
+function previewPvMove(line, ply) {
+    if (!previewPosition) {
+        previewPosition = game.fen();
+    }
+
+    const pvMove = getPvMoves(line)[ply];
+    board.position(pvMove.fen, false);
+    highlightSquares(pvMove.move.from, pvMove.move.to);
+
+    previewLine = line;
+    previewPly = ply;
+    updateBoardArrows();
+}
+
+// Play a candidate line up to the given ply as a variation and jump there
+function playPvLine(line, ply) {
+    clearPreview();
+
+    let node = currentNode;
+    for (const pvMove of getPvMoves(line).slice(0, ply + 1)) {
+        node = appendMoveNode(node, pvMove.move, pvMove.fen);
+    }
+    goToNode(node);
+}
+
+function playAnalysisMove(uci) {
+    // Clear any preview state first
+    clearPreview();
+
+    // Parse UCI move
+    const from = uci.substring(0, 2);
+    const to = uci.substring(2, 4);
+    const promotion = uci.length > 4 ? uci[4] : undefined;
+
+    requestMove(from, to, promotion);
+}
+
+function parseEval(evalStr) {
+    if (evalStr.startsWith('M')) {
+        const mateIn = Math.abs(parseInt(evalStr.substring(1)));
+        return evalStr.startsWith('M-') ? -10000 + mateIn : 10000 - mateIn;
+    }
+    return parseFloat(evalStr);
+}
+
+function getEvalClass(evalStr) {
+    if (evalStr.startsWith('M')) {
+        return evalStr.startsWith('M-') ? 'negative' : 'positive';
+    }
+    const val = parseFloat(evalStr);
+    if (val > 0.3) return 'positive';
+    if (val < -0.3) return 'negative';
+    return 'neutral';
+}
+
+let previewPosition = null;
+
+function previewMove(uci) {
+    // Store current position if not already previewing
+    if (!previewPosition) {
+        previewPosition = game.fen();
+    }
+
+    // Create a temp game to make the move
+    const tempGame = new Chess(previewPosition);
+    const from = uci.substring(0, 2);
+    const to = uci.substring(2, 4);
+    const promotion = uci.length > 4 ? uci[4] : undefined;
+
+    const move = tempGame.move({ from, to, promotion });
+    if (move) {
+        board.position(tempGame.fen(), false);
+    }
+
+    // Show where the hovered line goes next
+    previewLine = currentAnalysis.find(m => m.uci === uci) || null;
+    previewPly = 0;
+    updateBoardArrows();
+
+    highlightSquares(from, to);
+}
+
+function highlightSquares(from, to) {
+    document.querySelectorAll('.square-55d63').forEach(sq => {
+        sq.style.boxShadow = '';
+    });
+
+    const fromSq = document.querySelector(`.square-${from}`);
+    const toSq = document.querySelector(`.square-${to}`);
+
+    if (fromSq) fromSq.style.boxShadow = 'inset 0 0 0 4px rgba(212, 160, 60, 0.6)';
+    if (toSq) toSq.style.boxShadow = 'inset 0 0 0 4px rgba(212, 160, 60, 0.6)';
+}
+
+function clearPreview() {
+    if (previewPosition) {
+        board.position(previewPosition, false);
+        previewPosition = null;
+    }
+    if (previewLine) {
+        previewLine = null;
+        updateBoardArrows();
+    }
+
+    // Clear highlights
+    document.querySelectorAll('.square-55d63').forEach(sq => {
+        sq.style.boxShadow = '';
+    });
+}
+
+// ============================================
+// Endgame Tablebase
+// ============================================
+// Positions with few enough pieces are looked up in a Syzygy tablebase
+// service (Lichess API format). Categories are from the side to move's
+// perspective; a cursed win or blessed loss is a draw under the 50-move rule.
+const TABLEBASE_CATEGORIES = {
+    'win': { label: 'Win', result: 'win' },
+    'syzygy-win': { label: 'Win', result: 'win' },
+    'maybe-win': { label: 'Win?', result: 'win' },
+    'cursed-win': { label: 'Cursed win', result: 'draw' },
+    'draw': { label: 'Draw', result: 'draw' },
+    'blessed-loss': { label: 'Blessed loss', result: 'draw' },
+    'maybe-loss': { label: 'Loss?', result: 'loss' },
+    'syzygy-loss': { label: 'Loss', result: 'loss' },
+    'loss': { label: 'Loss', result: 'loss' },
+    'unknown': { label: 'Unknown', result: null }
+};
+// A move's category is given for the opponent, who is to move after it
+const TABLEBASE_OPPOSITE = {
+    'win': 'loss',
+    'syzygy-win': 'syzygy-loss',
+    'maybe-win': 'maybe-loss',
+    'cursed-win': 'blessed-loss',
+    'draw': 'draw',
+    'blessed-loss': 'cursed-win',
+    'maybe-loss': 'maybe-win',
+    'syzygy-loss': 'syzygy-win',
+    'loss': 'win',
+    'unknown': 'unknown'
+};
+
+// Tablebase data for the position on the board, once it has arrived
+let tablebaseResult = null;
+let tablebaseAbort = null;
+
+function getTablebaseConfig() {
+    const config = (typeof CONFIG !== 'undefined' && CONFIG.tablebase) || {};
+    return {
+        enabled: config.enabled !== false,
+        baseUrl: config.baseUrl || 'https://tablebase.lichess.ovh',
+        maxPieces: config.maxPieces || 7
+    };
+}
+
+function countPieces(fen) {
+    return fen.split(' ')[0].replace(/[^a-zA-Z]/g, '').length;
+}
+
+function isTablebasePosition(fen) {
+    const config = getTablebaseConfig();
+    return config.enabled && countPieces(fen) <= config.maxPieces;
+}
+
+// Tablebase entries never change, so cached lookups don't expire
+async function fetchTablebaseData(fen, signal) {
+    const url = `${getTablebaseConfig().baseUrl}/standard?fen=${encodeURIComponent(fen)}`;
+    const cached = await cacheGet('tablebase', url);
+    if (cached) return cached;
+
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+        throw new Error(`Tablebase error: ${response.status}`);
+    }
+    const data = await response.json();
+    cacheSet('tablebase', url, data);
+    return data;
+}
+
+async function fetchTablebase() {
+    const fen = game.fen();
+    if (tablebaseAbort) tablebaseAbort.abort();
+    tablebaseAbort = null;
+    if (!isTablebasePosition(fen)) return;
+
+    const controller = new AbortController();
+    tablebaseAbort = controller;
+    const content = document.getElementById('tablebaseContent');
+    content.style.display = '';
+    content.innerHTML = '<div class="empty-state">Probing tablebase...</div>';
+
+    try {
+        const data = await fetchTablebaseData(fen, controller.signal);
+        if (tablebaseAbort !== controller) return;
+        tablebaseResult = { fen, data };
+        renderTablebase();
+        // Mark the engine candidates with their exact results
+        if (currentAnalysis.length > 0) updateAnalysisDisplay();
+    } catch (e) {
+        if (e.name === 'AbortError') return;
+        console.error('Tablebase fetch error:', e);
+        content.innerHTML = '<div class="empty-state">Tablebase unavailable</div>';
+    }
+}
+
+function clearTablebase() {
+    if (tablebaseAbort) tablebaseAbort.abort();
+    tablebaseAbort = null;
+    tablebaseResult = null;
+    const content = document.getElementById('tablebaseContent');
+    content.style.display = 'none';
+    content.innerHTML = '';
+}
+
+function getTablebaseData() {
+    return tablebaseResult?.fen === game.fen() ? tablebaseResult.data : null;
+}
+
+// Category of a tablebase move for the player making it
+function getTablebaseMoveCategory(move) {
+    return TABLEBASE_OPPOSITE[move.category] || 'unknown';
+}
+
+function formatTablebaseDistance(entry) {
+    const parts = [];
+    if (entry.dtz != null) parts.push(`DTZ ${Math.abs(entry.dtz)}`);
+    if (entry.dtm != null) parts.push(`DTM ${Math.abs(entry.dtm)}`);
+    return parts.join(' · ');
+}
+
+// Exact result of the position, from White's perspective
+function getTablebaseEval(data) {
+    const result = TABLEBASE_CATEGORIES[data.category]?.result;
+    if (!result) return null;
+    if (result === 'draw') return { text: '½-½', winProb: 50 };
+    const whiteWins = (result === 'win') === (game.turn() === 'w');
+    return whiteWins ? { text: '1-0', winProb: 100 } : { text: '0-1', winProb: 0 };
+}
+
+function renderTablebase() {
+    const data = getTablebaseData();
+    if (!data) return;
+
+    const content = document.getElementById('tablebaseContent');
+    const category = TABLEBASE_CATEGORIES[data.category] || TABLEBASE_CATEGORIES.unknown;
+    const side = game.turn() === 'w' ? 'White' : 'Black';
+    let summary = `${category.label} for ${side}`;
+    if (data.checkmate) summary = 'Checkmate';
+    else if (data.stalemate) summary = 'Stalemate';
+    else if (data.insufficient_material) summary = 'Insufficient material';
+
+    const tbEval = getTablebaseEval(data);
+    if (tbEval) showEval(tbEval.text, tbEval.winProb);
+
+    const moves = (data.moves || []).map(m => {
+        const moveCategory = getTablebaseMoveCategory(m);
+        const result = TABLEBASE_CATEGORIES[moveCategory].result || 'unknown';
+        return `<div class="tablebase-move" data-move="${m.uci}">
+            <span class="tablebase-san">${m.san}</span>
+            <span class="tablebase-result tb-${result}">${TABLEBASE_CATEGORIES[moveCategory].label}</span>
+            <span class="tablebase-distance">${formatTablebaseDistance(m)}</span>
+        </div>`;
+    }).join('');
+
+    content.innerHTML = `
+        <div class="tablebase-summary">
+            <span class="panel-title">Tablebase</span>
+            <span class="tablebase-result tb-${category.result || 'unknown'}">${summary}</span>
+            <span class="tablebase-distance">${formatTablebaseDistance(data)}</span>
+        </div>
+        <div class="tablebase-moves">${moves}</div>`;
+
+    content.querySelectorAll('.tablebase-move').forEach(el => {
+        el.addEventListener('mouseenter', () => previewMove(el.dataset.move));
+        el.addEventListener('mouseleave', clearPreview);
+        el.addEventListener('click', () => playAnalysisMove(el.dataset.move));
+    });
+}
+
+// ============================================
+// Game Analysis
+// ============================================
+// Win-probability loss (percentage points) at which a move gets each label
+const CLASSIFICATION_THRESHOLDS = { inaccuracy: 5, mistake: 10, blunder: 15 };
+const CLASSIFICATION_SYMBOLS = { inaccuracy: '?!', mistake: '?', blunder: '??' };
+const CLASSIFICATION_LABELS = {
+    best: 'Best move',
+    good: 'Good move',
+    inaccuracy: 'Inaccuracy',
+    mistake: 'Mistake',
+    blunder: 'Blunder'
+};
+
+let gameAnalysis = null;
+
+function getGameAnalysisDepth() {
+    return (typeof CONFIG !== 'undefined' && CONFIG.engine?.gameAnalysisDepth) || 14;
+}
+
+function getMainline() {
+    const nodes = [moveTree];
+    for (let n = moveTree.children[0]; n; n = n.children[0]) nodes.push(n);
+    return nodes;
+}
+
+// Stockfish has nothing to say about finished positions, so score them directly
+function getTerminalEval(fen) {
+    const chess = new Chess(fen);
+    if (chess.in_checkmate()) return chess.turn() === 'w' ? 'M-0' : 'M0';
+    if (chess.in_stalemate() || chess.insufficient_material()) return '0.00';
+    return null;
+}
+
+// Evaluate one position on the game analysis worker. Resolves with the eval
+// and best move of the deepest line plus every line searched ({ eval, pv }
+// per MultiPV line, best first), or null if the analysis is cancelled.
+function evaluateForGameAnalysis(analysis, fen, depth) {
+    return new Promise(resolve => {
+        const turn = fen.split(' ')[1];
+        let result = null;
+        const lines = [];
+
+        analysis.abort = () => resolve(null);
+        analysis.worker.onmessage = (event) => {
+            const line = event.data;
+            if (line.startsWith('info depth')) {
+                const depthMatch = line.match(/depth (\d+)/);
+                const scoreMatch = line.match(/score (cp|mate) (-?\d+)/);
+                const pvMatch = line.match(/ pv (.+)/);
+                if (!depthMatch || !scoreMatch || !pvMatch) return;
+
+                const multipvMatch = line.match(/multipv (\d+)/);
+                const index = multipvMatch ? parseInt(multipvMatch[1]) - 1 : 0;
+                const evalScore = formatEngineScore(scoreMatch[1], parseInt(scoreMatch[2]), turn);
+                const pv = pvMatch[1].trim().split(' ');
+                lines[index] = { eval: evalScore, pv };
+                if (index === 0) {
+                    result = { eval: evalScore, depth: parseInt(depthMatch[1]), bestMove: pv[0] };
+                }
+            } else if (line.startsWith('bestmove')) {
+                resolve(result && { ...result, lines: lines.filter(Boolean) });
+            }
+        };
+
+        analysis.worker.postMessage(`position fen ${fen}`);
+        analysis.worker.postMessage(`go depth ${depth}`);
+    });
+}
+
+// Lichess accuracy curve: 100% for no loss, falling off exponentially
+function moveAccuracy(winProbLoss) {
+    const accuracy = 103.1668 * Math.exp(-0.04354 * winProbLoss) - 3.1669;
+    return Math.min(100, Math.max(0, accuracy));
+}
+
+// Classify the move leading to this node from the evals before and after it
+function classifyMove(node) {
+    const before = node.parent.annotation;
+    const after = node.annotation;
+    if (!before.eval || !after.eval) return;
+
+    // Win probability is from White's perspective; flip it for Black's moves
+    const mover = node.parent.fen.split(' ')[1];
+    const winBefore = winProbability(before.eval);
+    const winAfter = winProbability(after.eval);
+    const loss = Math.max(0, mover === 'w' ? winBefore - winAfter : winAfter - winBefore);
+
+    let classification = 'good';
+    if (node.uci === before.bestMove) {
+        classification = 'best';
+    } else if (loss >= CLASSIFICATION_THRESHOLDS.blunder) {
+        classification = 'blunder';
+    } else if (loss >= CLASSIFICATION_THRESHOLDS.mistake) {
+        classification = 'mistake';
+    } else if (loss >= CLASSIFICATION_THRESHOLDS.inaccuracy) {
+        classification = 'inaccuracy';
+    }
+
+    after.classification = classification;
+    after.winProbLoss = loss;
+    after.accuracy = moveAccuracy(loss);
+}
+
+async function analyzeGame() {
+    if (gameAnalysis) {
+        cancelGameAnalysis();
+        return;
+    }
+
+    const nodes = getMainline();
+    if (nodes.length < 2) return;
+
+    const depth = getGameAnalysisDepth();
+    const analysis = { worker: null, abort: null };
+    gameAnalysis = analysis;
+
+    const btn = document.getElementById('analyzeGameBtn');
+    btn.textContent = 'Cancel';
+    updateGameAnalysisProgress(0, nodes.length);
+
+    try {
+        analysis.worker = await createEngineWorker();
+    } catch (e) {
+        console.error('Failed to start game analysis engine:', e);
+        gameAnalysis = null;
+        btn.textContent = 'Analyze Game';
+        document.getElementById('gameAnalysisStatus').textContent = 'Engine unavailable';
+        return;
+    }
+    analysis.worker.postMessage('uci');
+
+    for (let i = 0; i < nodes.length; i++) {
+        // Cancelled (or the game was replaced) while we were waiting
+        if (analysis !== gameAnalysis) return;
+
+        const annotation = nodes[i].annotation;
+        const terminalEval = getTerminalEval(nodes[i].fen);
+
+        if (terminalEval) {
+            annotation.eval = terminalEval;
+            delete annotation.bestMove;
+        } else if (!annotation.eval || !annotation.bestMove || !(annotation.depth >= depth)) {
+            // Reuse evals from the live analysis when they're at least as deep
+            const result = await evaluateForGameAnalysis(analysis, nodes[i].fen, depth);
+            if (!result) return;
+            Object.assign(annotation, { eval: result.eval, depth: result.depth, bestMove: result.bestMove });
+        }
+
+        if (i > 0) classifyMove(nodes[i]);
+        updateGameAnalysisProgress(i + 1, nodes.length);
+        updateMoveHistory();
+        updateEvalGraph();
+    }
+
+    finishGameAnalysis(nodes);
+}
+
+function cancelGameAnalysis() {
+    if (!gameAnalysis) return;
+
+    const analysis = gameAnalysis;
+    gameAnalysis = null;
+    if (analysis.worker) analysis.worker.terminate();
+    if (analysis.abort) analysis.abort();
+
+    document.getElementById('analyzeGameBtn').textContent = 'Analyze Game';
+    document.getElementById('gameAnalysisStatus').textContent = 'Cancelled';
+    renderGameAnalysisSummary(getMainline());
+}
+
+function clearGameAnalysis() {
+    cancelGameAnalysis();
+    document.getElementById('gameAnalysisStatus').textContent = '';
+    document.getElementById('gameAnalysisContent').innerHTML =
+        '<div class="empty-state">Analyze the game to classify every move and score each side\'s accuracy</div>';
+}
+
+function finishGameAnalysis(nodes) {
+    gameAnalysis.worker.terminate();
+    gameAnalysis = null;
+
+    document.getElementById('analyzeGameBtn').textContent = 'Analyze Game';
+    document.getElementById('gameAnalysisStatus').textContent = 'Complete';
+    renderGameAnalysisSummary(nodes);
+}
+
+function updateGameAnalysisProgress(done, total) {
+    document.getElementById('gameAnalysisStatus').textContent = `Position ${done} / ${total}`;
+    document.getElementById('gameAnalysisContent').innerHTML = `
+        <div class="analysis-progress">
+            <div class="analysis-progress-bar" style="width: ${(done / total) * 100}%"></div>
+        </div>
+    `;
+}
+
+// Per-side accuracy (mean of move accuracies) and error counts
+function summarizeGameAnalysis(nodes) {
+    const sides = {
+        w: { accuracies: [], inaccuracy: 0, mistake: 0, blunder: 0 },
+        b: { accuracies: [], inaccuracy: 0, mistake: 0, blunder: 0 }
+    };
+
+    nodes.slice(1).forEach(node => {
+        const annotation = node.annotation;
+        if (!annotation.classification) return;
+
+        const side = sides[node.parent.fen.split(' ')[1]];
+        side.accuracies.push(annotation.accuracy);
+        if (annotation.classification in side) side[annotation.classification]++;
+    });
+
+    for (const side of Object.values(sides)) {
+        side.accuracy = side.accuracies.length > 0
+            ? side.accuracies.reduce((sum, a) => sum + a, 0) / side.accuracies.length
+            : null;
+    }
+    return sides;
+}
+
+function renderGameAnalysisSummary(nodes) {
+    const summary = summarizeGameAnalysis(nodes);
+    const content = document.getElementById('gameAnalysisContent');
+
+    if (summary.w.accuracy === null && summary.b.accuracy === null) {
+        content.innerHTML = '<div class="empty-state">No moves analyzed</div>';
+        return;
+    }
+
+    const renderSide = (side, name) => `
+        <div class="accuracy-side">
+            <span class="stat-label">${escapeHtml(name)}</span>
+            <span class="accuracy-value">${side.accuracy === null ? '—' : `${side.accuracy.toFixed(1)}%`}</span>
+            <div class="accuracy-counts">
+                <span class="class-inaccuracy">${side.inaccuracy} inaccurac${side.inaccuracy === 1 ? 'y' : 'ies'}</span>
+                <span class="class-mistake">${side.mistake} mistake${side.mistake === 1 ? '' : 's'}</span>
+                <span class="class-blunder">${side.blunder} blunder${side.blunder === 1 ? '' : 's'}</span>
+            </div>
+        </div>
+    `;
+
+    const whiteName = gameHeaders.White && gameHeaders.White !== '?' ? gameHeaders.White : 'White';
+    const blackName = gameHeaders.Black && gameHeaders.Black !== '?' ? gameHeaders.Black : 'Black';
+    content.innerHTML = `
+        <div class="accuracy-grid">
+            ${renderSide(summary.w, whiteName)}
+            ${renderSide(summary.b, blackName)}
+        </div>
+    `;
+}
+
+// ============================================
+// Game Report
+// ============================================
+// The engine finds the critical moments (MultiPV 2 over the mainline), then
+// the AI provider writes a narrative and a comment on each one from the
+// engine lines it's given. The report lives on the move tree's root.
+const REPORT_MAX_MOMENTS = 6;
+const REPORT_LINE_PLIES = 8;
+// Mover's win probability: winning before the move, no longer winning after
+const REPORT_MISSED_WIN = { before: 75, after: 60 };
+// Win-probability gap between the best and second-best move for an only move
+const REPORT_ONLY_MOVE_GAP = 20;
+const REPORT_MOMENT_LABELS = {
+    'missed-win': 'Missed win',
+    'only-move': 'Only move',
+    mistake: 'Mistake',
+    blunder: 'Blunder'
+};
+
+let reportSession = null;
+
+// "12. Nf3 Nc6 13. d4" for a UCI line played from fen
+function formatUciLine(fen, uciMoves) {
+    const chess = new Chess(fen);
+    const moves = [];
+    for (const uci of uciMoves) {
+        const fenBefore = chess.fen();
+        const move = chess.move({ from: uci.substring(0, 2), to: uci.substring(2, 4), promotion: uci[4] });
+        if (!move) break;
+        moves.push({ san: move.san, fenBefore });
+    }
+    return formatSanLine(moves);
+}
+
+function formatNodeMove(node) {
+    return formatSanLine([{ san: node.san, fenBefore: node.parent.fen }]);
+}
+
+// Largest swings (mistakes and blunders), wins that slipped away, and moves
+// that were the only way to hold the position. lines maps a node to the
+// engine's two best lines from it.
+function findCriticalMoments(nodes, lines) {
+    const moments = [];
+
+    nodes.slice(1).forEach(node => {
+        const before = node.parent.annotation;
+        const after = node.annotation;
+        if (!before.eval || !after.eval) return;
+
+        const mover = node.parent.fen.split(' ')[1];
+        const moverWin = (evalStr) => mover === 'w' ? winProbability(evalStr) : 100 - winProbability(evalStr);
+        const winBefore = moverWin(before.eval);
+        const winAfter = moverWin(after.eval);
+        const bestLines = lines.get(node.parent) || [];
+
+        let type = null;
+        let score = 0;
+        if (winBefore >= REPORT_MISSED_WIN.before && winAfter < REPORT_MISSED_WIN.after) {
+            type = 'missed-win';
+            score = winBefore - winAfter;
+        } else if (after.classification === 'blunder' || after.classification === 'mistake') {
+            type = after.classification;
+            score = after.winProbLoss;
+        } else if (node.uci === before.bestMove && bestLines.length > 1) {
+            const gap = moverWin(bestLines[0].eval) - moverWin(bestLines[1].eval);
+            if (gap >= REPORT_ONLY_MOVE_GAP) {
+                type = 'only-move';
+                score = gap;
+            }
+        }
+        if (!type) return;
+
+        moments.push({
+            node,
+            type,
+            score,
+            evalBefore: before.eval,
+            evalAfter: after.eval,
+            bestLine: bestLines[0] ? formatUciLine(node.parent.fen, bestLines[0].pv.slice(0, REPORT_LINE_PLIES)) : '',
+            secondLine: bestLines[1] ? formatUciLine(node.parent.fen, bestLines[1].pv.slice(0, REPORT_LINE_PLIES)) : '',
+            secondEval: bestLines[1] ? bestLines[1].eval : null
+        });
+    });
+
+    return moments
+        .sort((a, b) => b.score - a.score)
+        .slice(0, REPORT_MAX_MOMENTS)
+        .sort((a, b) => a.node.ply - b.node.ply);
+}
+
+function buildReportPrompt(nodes, moments) {
+    const headers = ['Event', 'Date', 'White', 'Black']
+        .filter(tag => gameHeaders[tag] && gameHeaders[tag] !== '?')
+        .map(tag => `${tag}: ${gameHeaders[tag]}`);
+    const moves = formatSanLine(nodes.slice(1).map(n => ({ san: n.san, fenBefore: n.parent.fen })));
+
+    const momentText = moments.map((m, i) => {
+        const side = m.node.parent.fen.split(' ')[1] === 'w' ? 'White' : 'Black';
+        const lines = [`${i + 1}. ${formatNodeMove(m.node)} by ${side} - ${REPORT_MOMENT_LABELS[m.type]}. Eval before ${m.evalBefore}, after ${m.evalAfter}.`];
+        if (m.type === 'only-move') {
+            lines.push(`   Every other move was worse: the next best, ${m.secondLine}, evaluates to ${m.secondEval}.`);
+        } else if (m.bestLine) {
+            lines.push(`   Engine's best instead: ${m.bestLine} (${m.evalBefore}).`);
+        }
+        return lines.join('\n');
+    }).join('\n');
+
+    return `You are a chess coach writing a short report on a game for the players.
+
+${headers.join('\n')}
+Result: ${getGameResult()}
+Starting position (FEN): ${moveTree.fen}
+Moves: ${moves}
+
+Critical moments found by Stockfish (evals from White's perspective):
+${momentText || '(none - the game had no big swings)'}
+
+Base every claim on the moves and engine lines above; don't invent tactics or variations they don't show.
+
+Answer with JSON only (no code fences, no commentary):
+{"narrative": "<3-5 sentences on how the game went>", "moments": [{"id": <moment number>, "comment": "<1-2 sentences on what happened and why it mattered>"}]}
+with one entry in "moments" for every critical moment.`;
+}
+
+// Returns { narrative, comments } or throws with what was wrong
+function parseReport(text, momentCount) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end < start) throw new Error('No JSON object found');
+
+    const data = JSON.parse(text.slice(start, end + 1));
+    if (typeof data.narrative !== 'string' || !data.narrative.trim()) {
+        throw new Error('"narrative" is missing');
+    }
+
+    const comments = {};
+    (Array.isArray(data.moments) ? data.moments : []).forEach(m => {
+        if (m && Number.isInteger(m.id) && typeof m.comment === 'string' && m.comment.trim()) {
+            comments[m.id] = m.comment.trim();
+        }
+    });
+    const missing = [];
+    for (let id = 1; id <= momentCount; id++) {
+        if (!comments[id]) missing.push(id);
+    }
+    if (missing.length > 0) throw new Error(`No comment for moments ${missing.join(', ')}`);
+
+    return { narrative: data.narrative.trim(), comments };
+}
+
+async function writeReport(nodes, moments, signal) {
+    const messages = [{ role: 'user', content: buildReportPrompt(nodes, moments) }];
+    const text = await requestLlm(messages, 1500, { signal });
+    try {
+        return parseReport(text, moments.length);
+    } catch (e) {
+        // One repair pass
+        console.warn('Repairing report output:', e.message);
+        messages.push(
+            { role: 'assistant', content: text },
+            { role: 'user', content: `That couldn't be used (${e.message}). Reply again with only the JSON object in the format asked for.` }
+        );
+        return parseReport(await requestLlm(messages, 1500, { signal }), moments.length);
+    }
+}
+
+async function generateReport() {
+    if (reportSession) {
+        cancelReport();
+        return;
+    }
+    if (!isLlmConfigured()) {
+        openLlmSettings();
+        return;
+    }
+
+    const nodes = getMainline();
+    if (nodes.length < 2) return;
+    // The report analyzes the game itself, with two lines per position
+    cancelGameAnalysis();
+
+    const session = { worker: null, abort: null, controller: new AbortController(), tree: moveTree };
+    reportSession = session;
+    document.getElementById('reportBtn').textContent = 'Cancel';
+    updateReportProgress(0, nodes.length);
+
+    try {
+        session.worker = await createEngineWorker();
+    } catch (e) {
+        console.error('Failed to start report engine:', e);
+        reportSession = null;
+        document.getElementById('reportBtn').textContent = moveTree.report ? 'Regenerate' : 'Generate';
+        document.getElementById('reportStatus').textContent = 'Engine unavailable';
+        renderReport();
+        return;
+    }
+    session.worker.postMessage('uci');
+    session.worker.postMessage('setoption name MultiPV value 2');
+
+    const depth = getGameAnalysisDepth();
+    const lines = new Map();
+    for (let i = 0; i < nodes.length; i++) {
+        if (session !== reportSession) return;
+
+        const annotation = nodes[i].annotation;
+        const terminalEval = getTerminalEval(nodes[i].fen);
+        if (terminalEval) {
+            annotation.eval = terminalEval;
+            delete annotation.bestMove;
+        } else {
+            const result = await evaluateForGameAnalysis(session, nodes[i].fen, depth);
+            if (!result) return;
+            lines.set(nodes[i], result.lines);
+            // Keep deeper evals from the live analysis
+            if (!(annotation.depth >= result.depth)) {
+                Object.assign(annotation, { eval: result.eval, depth: result.depth, bestMove: result.bestMove });
+            }
+        }
+        if (i > 0) classifyMove(nodes[i]);
+        updateReportProgress(i + 1, nodes.length);
+    }
+    session.worker.terminate();
+    session.worker = null;
+    updateMoveHistory();
+    updateEvalGraph();
+    renderGameAnalysisSummary(nodes);
+
+    const moments = findCriticalMoments(nodes, lines);
+    document.getElementById('reportStatus').textContent = 'Writing...';
+
+    let written;
+    try {
+        written = await writeReport(nodes, moments, session.controller.signal);
+    } catch (e) {
+        if (session !== reportSession) return;
+        console.error('Report error:', e);
+        reportSession = null;
+        document.getElementById('reportBtn').textContent = moveTree.report ? 'Regenerate' : 'Generate';
+        document.getElementById('reportStatus').textContent = 'Failed';
+        renderReport(`Couldn't write the report: ${e.message}`);
+        return;
+    }
+    if (session !== reportSession) return;
+
+    // Comments go on the moves too, so they're part of the exported PGN
+    nodes.forEach(n => delete n.annotation.reportComment);
+    session.tree.report = {
+        narrative: written.narrative,
+        moments: moments.map((m, i) => {
+            const comment = written.comments[i + 1];
+            m.node.annotation.reportComment = m.type === 'only-move' || !m.bestLine
+                ? `${REPORT_MOMENT_LABELS[m.type]}. ${comment}`
+                : `${REPORT_MOMENT_LABELS[m.type]}. ${comment} Best was ${m.bestLine}.`;
+            return {
+                nodeId: m.node.id,
+                type: m.type,
+                move: formatNodeMove(m.node),
+                evalBefore: m.evalBefore,
+                evalAfter: m.evalAfter,
+                bestLine: m.type === 'only-move' ? '' : m.bestLine,
+                comment
+            };
+        })
+    };
+
+    reportSession = null;
+    document.getElementById('reportBtn').textContent = 'Regenerate';
+    document.getElementById('reportStatus').textContent = `${moments.length} critical moment${moments.length === 1 ? '' : 's'}`;
+    renderReport();
+}
+
+function cancelReport() {
+    if (!reportSession) return;
+
+    const session = reportSession;
+    reportSession = null;
+    if (session.worker) session.worker.terminate();
+    if (session.abort) session.abort();
+    session.controller.abort();
+
+    document.getElementById('reportBtn').textContent = moveTree.report ? 'Regenerate' : 'Generate';
+    document.getElementById('reportStatus').textContent = 'Cancelled';
+    renderReport();
+}
+
+function updateReportProgress(done, total) {
+    document.getElementById('reportStatus').textContent = `Engine ${done} / ${total}`;
+    document.getElementById('reportContent').innerHTML = `
+        <div class="analysis-progress">
+            <div class="analysis-progress-bar" style="width: ${(done / total) * 100}%"></div>
+        </div>
+    `;
+}
+
+function renderReport(error) {
+    const content = document.getElementById('reportContent');
+    const report = moveTree.report;
+
+    if (!report) {
+        content.innerHTML = error
+            ? `<div class="empty-state">${escapeHtml(error)}</div>`
+            : '<div class="empty-state">Generate a report to find the critical moments and get a written summary of the game</div>';
+        return;
+    }
+
+    // A failed rewrite leaves the earlier report up, below the error
+    content.innerHTML = `
+        ${error ? `<div class="report-error">${escapeHtml(error)}</div>` : ''}
+        <p class="report-narrative">${escapeHtml(report.narrative)}</p>
+        ${report.moments.map(m => `
+            <div class="report-moment" data-node="${m.nodeId}">
+                <div class="report-moment-header">
+                    <span class="report-moment-move">${escapeHtml(m.move)}</span>
+                    <span class="report-moment-type ${m.type}">${REPORT_MOMENT_LABELS[m.type]}</span>
+                    <span class="report-moment-eval">${m.evalBefore} → ${m.evalAfter}</span>
+                </div>
+                <div class="report-moment-comment">${escapeHtml(m.comment)}</div>
+                ${m.bestLine ? `<div class="report-moment-line">Best: ${escapeHtml(m.bestLine)}</div>` : ''}
+            </div>
+        `).join('')}
+        <div class="report-actions">
+            <button class="btn" data-report-export="pgn">Export PGN</button>
+            <button class="btn" data-report-export="html">Export HTML</button>
+        </div>
+    `;
+}
+
+function handleReportClick(e) {
+    const exportBtn = e.target.closest('[data-report-export]');
+    if (exportBtn) {
+        if (exportBtn.dataset.reportExport === 'pgn') {
+            openPgnModal('export');
+        } else {
+            downloadReportHtml();
+        }
+        return;
+    }
+
+    const momentEl = e.target.closest('[data-node]');
+    if (momentEl) goToNode(treeNodes.get(parseInt(momentEl.dataset.node)));
+}
+
+// Standalone page with the report, the moves and the critical moments marked
+function buildReportHtml() {
+    const report = moveTree.report;
+    const nodes = getMainline();
+    const white = gameHeaders.White && gameHeaders.White !== '?' ? gameHeaders.White : 'White';
+    const black = gameHeaders.Black && gameHeaders.Black !== '?' ? gameHeaders.Black : 'Black';
+    const momentIds = new Set(report.moments.map(m => m.nodeId));
+
+    const moves = nodes.slice(1).map(n => {
+        const [, turn, , , , fullMove] = n.parent.fen.split(' ');
+        const number = turn === 'w' ? `${fullMove}. ` : '';
+        const symbol = CLASSIFICATION_SYMBOLS[n.annotation.classification] || '';
+        const text = `${number}${escapeHtml(n.san)}${symbol}`;
+        return momentIds.has(n.id) ? `<a href="#moment-${n.id}"><strong>${text}</strong></a>` : text;
+    }).join(' ');
+
+    const moments = report.moments.map(m => `
+    <section class="moment" id="moment-${m.nodeId}">
+        <h3>${escapeHtml(m.move)} <span class="tag ${m.type}">${REPORT_MOMENT_LABELS[m.type]}</span> <span class="eval">${m.evalBefore} → ${m.evalAfter}</span></h3>
+        <p>${escapeHtml(m.comment)}</p>
+        ${m.bestLine ? `<p class="line">Best: ${escapeHtml(m.bestLine)}</p>` : ''}
+    </section>`).join('');
+
+    const details = ['Event', 'Site', 'Date']
+        .filter(tag => gameHeaders[tag] && gameHeaders[tag] !== '?')
+        .map(tag => escapeHtml(gameHeaders[tag]))
+        .join(' · ');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(white)} vs ${escapeHtml(black)} - Game Report</title>
+<style>
+    body { max-width: 760px; margin: 40px auto; padding: 0 20px; font-family: Georgia, serif; line-height: 1.6; color: #222; }
+    h1 { margin-bottom: 4px; }
+    .details { color: #777; margin-top: 0; }
+    .moves { font-family: Menlo, monospace; font-size: 14px; background: #f6f4ef; padding: 16px; border-radius: 6px; }
+    .moves a { color: #b5651d; text-decoration: none; }
+    .moment { border-left: 3px solid #d4a03c; padding-left: 14px; margin: 20px 0; }
+    .moment h3 { margin: 0; font-family: Menlo, monospace; font-size: 15px; }
+    .tag { font-family: sans-serif; font-size: 12px; padding: 2px 6px; border-radius: 3px; background: #eee; }
+    .tag.blunder, .tag.missed-win { background: #f5d0d0; }
+    .tag.mistake { background: #f5e3c8; }
+    .tag.only-move { background: #d5ecd5; }
+    .eval { color: #777; font-weight: normal; }
+    .line { font-family: Menlo, monospace; font-size: 13px; color: #555; }
+</style>
+</head>
+<body>
+    <h1>${escapeHtml(white)} vs ${escapeHtml(black)} <small>${escapeHtml(getGameResult())}</small></h1>
+    <p class="details">${details}</p>
+    <p>${escapeHtml(report.narrative)}</p>
+    <div class="moves">${moves} ${escapeHtml(getGameResult())}</div>
+    <h2>Critical moments</h2>${moments || '\n    <p>No critical moments.</p>'}
+</body>
+</html>
+`;
+}
+
+function downloadReportHtml() {
+    const blob = new Blob([buildReportHtml()], { type: 'text/html' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'game-report.html';
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// ============================================
+// Play vs Engine
+// ============================================
+// Strength levels: Skill Level plus a depth cap and (untimed) think time
+const ENGINE_LEVELS = [
+    { skill: 0, depth: 1, movetime: 50 },
+    { skill: 3, depth: 3, movetime: 100 },
+    { skill: 6, depth: 5, movetime: 150 },
+    { skill: 9, depth: 8, movetime: 300 },
+    { skill: 12, depth: 11, movetime: 500 },
+    { skill: 15, depth: 14, movetime: 800 },
+    { skill: 18, depth: 18, movetime: 1000 },
+    { skill: 20, depth: 22, movetime: 1500 }
+];
+const PLAY_TIME_CONTROLS = [
+    { label: 'Untimed', minutes: 0, increment: 0 },
+    { label: '3 + 2', minutes: 3, increment: 2 },
+    { label: '5 + 3', minutes: 5, increment: 3 },
+    { label: '10 + 5', minutes: 10, increment: 5 },
+    { label: '15 + 10', minutes: 15, increment: 10 },
+    { label: '30 + 0', minutes: 30, increment: 0 }
+];
+const CLOCK_TICK_MS = 100;
+
+let playSession = null;
+
+function isPlaying() {
+    return !!(playSession && playSession.active);
+}
+
+function initPlayOptions() {
+    const defaults = (typeof CONFIG !== 'undefined' && CONFIG.play) || {};
+    document.getElementById('playLevel').innerHTML = ENGINE_LEVELS.map((level, i) =>
+        `<option value="${i}">Level ${i + 1} (Skill ${level.skill})</option>`
+    ).join('');
+    document.getElementById('playLevel').value = (defaults.level || 4) - 1;
+    document.getElementById('playTimeControl').innerHTML = PLAY_TIME_CONTROLS.map((tc, i) =>
+        `<option value="${i}">${tc.label}</option>`
+    ).join('');
+    const defaultTc = PLAY_TIME_CONTROLS.findIndex(tc => tc.label === defaults.timeControl);
+    document.getElementById('playTimeControl').value = Math.max(defaultTc, 0);
+}
+
+function openPlayModal() {
+    // Stockfish 10 has no UCI_Elo option, only the skill levels
+    const eloInput = document.getElementById('playElo');
+    eloInput.disabled = activeEngineBuild === 'legacy';
+    eloInput.title = eloInput.disabled ? 'Stockfish 10 has no Elo limit; pick the local engine in Settings to use one' : '';
+    document.getElementById('playModal').classList.add('active');
+}
+
+function closePlayModal() {
+    document.getElementById('playModal').classList.remove('active');
+}
+
+async function startPlayFromModal() {
+    let color = document.getElementById('playColor').value;
+    if (color === 'random') color = Math.random() < 0.5 ? 'w' : 'b';
+    const elo = parseInt(document.getElementById('playElo').value);
+    closePlayModal();
+
+    await startPlay({
+        color,
+        levelIndex: parseInt(document.getElementById('playLevel').value),
+        elo: isNaN(elo) ? null : elo,
+        timeControl: PLAY_TIME_CONTROLS[parseInt(document.getElementById('playTimeControl').value)],
+        fromPosition: document.getElementById('playFromPosition').checked
+    });
+}
+
+async function startPlay(options) {
+    // A previous game (or a finished one still on screen) is abandoned
+    stopPlay();
+    stopTraining();
+    stopDrill();
+    stopFollow();
+    if (!options.fromPosition) newGame();
+    cancelGameAnalysis();
+
+    const session = {
+        active: true,
+        color: options.color,
+        level: ENGINE_LEVELS[options.levelIndex],
+        levelIndex: options.levelIndex,
+        elo: activeEngineBuild === 'legacy' ? null : options.elo,
+        timeControl: options.timeControl,
+        timed: options.timeControl.minutes > 0,
+        clocks: { w: options.timeControl.minutes * 60000, b: options.timeControl.minutes * 60000 },
+        lastTick: 0,
+        timer: null,
+        worker: null,
+        thinking: false
+    };
+    playSession = session;
+
+    try {
+        session.worker = await createEngineWorker();
+    } catch (e) {
+        console.error('Failed to start opponent engine:', e);
+        playSession = null;
+        alert('Failed to load the chess engine');
+        return;
+    }
+    // Replaced while the engine was loading
+    if (playSession !== session) {
+        session.worker.terminate();
+        return;
+    }
+
+    session.worker.onmessage = (event) => handlePlayEngineMessage(session, event.data);
+    session.worker.postMessage('uci');
+    session.worker.postMessage(`setoption name Skill Level value ${session.level.skill}`);
+    if (session.elo) {
+        session.worker.postMessage('setoption name UCI_LimitStrength value true');
+        session.worker.postMessage(`setoption name UCI_Elo value ${session.elo}`);
+    }
+    session.worker.postMessage('ucinewgame');
+    session.worker.postMessage('isready');
+
+    const engineName = `Stockfish${session.elo ? ` (${session.elo})` : ` level ${options.levelIndex + 1}`}`;
+    const today = new Date();
+    gameHeaders = {
+        ...gameHeaders,
+        Event: 'Casual game',
+        Date: `${today.getFullYear()}.${String(today.getMonth() + 1).padStart(2, '0')}.${String(today.getDate()).padStart(2, '0')}`,
+        White: session.color === 'w' ? 'Player' : engineName,
+        Black: session.color === 'b' ? 'Player' : engineName,
+        Result: '*'
+    };
+    if (session.timed) {
+        gameHeaders.TimeControl = `${session.timeControl.minutes * 60}+${session.timeControl.increment}`;
+    }
+
+    // Hide and stop the live analysis for the duration of the game
+    document.querySelector('.app-container').classList.add('playing');
+    if ((session.color === 'b') !== boardFlipped) flipBoard();
+    clearPreview();
+    analyzePosition();
+    // Disable the tree actions for the game
+    updateMoveHistory();
+
+    document.querySelector('#engineClock .play-clock-name').textContent = engineName;
+    document.getElementById('playBar').classList.add('active');
+    document.getElementById('resignBtn').style.display = '';
+    document.getElementById('closePlayBtn').style.display = 'none';
+
+    session.lastTick = Date.now();
+    if (session.timed) session.timer = setInterval(tickClock, CLOCK_TICK_MS);
+    continuePlay();
+}
+
+// Called after every move while playing: charge the clock of the side that
+// moved, end the game if it's over, otherwise let the engine reply
+function continuePlay(mover) {
+    const session = playSession;
+    if (mover && session.timed) {
+        const now = Date.now();
+        session.clocks[mover] -= now - session.lastTick;
+        session.clocks[mover] += session.timeControl.increment * 1000;
+        session.lastTick = now;
+    }
+
+    const result = getPlayResult();
+    if (result) {
+        endPlay(result.result, result.reason);
+        return;
+    }
+
+    if (game.turn() !== session.color) requestEngineMove();
+    renderPlayBar();
+}
+
+function getPlayResult() {
+    if (!game.game_over()) return null;
+    if (game.in_checkmate()) {
+        return { result: game.turn() === 'w' ? '0-1' : '1-0', reason: 'checkmate' };
+    }
+    if (game.in_stalemate()) return { result: '1/2-1/2', reason: 'stalemate' };
+    if (game.in_threefold_repetition()) return { result: '1/2-1/2', reason: 'threefold repetition' };
+    if (game.insufficient_material()) return { result: '1/2-1/2', reason: 'insufficient material' };
+    return { result: '1/2-1/2', reason: 'fifty-move rule' };
+}
+
+function requestEngineMove() {
+    const session = playSession;
+    session.thinking = true;
+
+    // Send the moves rather than the FEN so the engine knows about repetitions
+    const moves = getNodePath(currentNode).map(n => n.uci).join(' ');
+    session.worker.postMessage(`position fen ${moveTree.fen}${moves ? ` moves ${moves}` : ''}`);
+
+    if (session.timed) {
+        const remaining = getRemainingTime(session);
+        const inc = session.timeControl.increment * 1000;
+        session.worker.postMessage(
+            `go wtime ${Math.round(remaining.w)} btime ${Math.round(remaining.b)} winc ${inc} binc ${inc} depth ${session.level.depth}`
+        );
+    } else {
+        session.worker.postMessage(`go movetime ${session.level.movetime} depth ${session.level.depth}`);
+    }
+}
+
+function handlePlayEngineMessage(session, line) {
+    if (session !== playSession || !session.active || !line.startsWith('bestmove')) return;
+
+    const uci = line.split(' ')[1];
+    session.thinking = false;
+    if (!uci || uci === '(none)') return;
+
+    cancelPromotion();
+    playMove({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] });
+}
+
+// Clocks as they stand right now, including the time used on the current move
+function getRemainingTime(session) {
+    const remaining = { ...session.clocks };
+    remaining[game.turn()] -= Date.now() - session.lastTick;
+    return remaining;
+}
+
+function tickClock() {
+    const session = playSession;
+    if (!isPlaying()) return;
+
+    const side = game.turn();
+    if (getRemainingTime(session)[side] <= 0) {
+        session.clocks[side] = 0;
+        session.lastTick = Date.now();
+        endPlay(side === 'w' ? '0-1' : '1-0', 'time');
+        return;
+    }
+    renderPlayBar();
+}
+
+function formatClock(ms) {
+    const tenths = Math.max(0, Math.ceil(ms / 100));
+    const minutes = Math.floor(tenths / 600);
+    const seconds = Math.floor((tenths % 600) / 10);
+    // Show tenths in the last ten seconds
+    if (tenths < 100) return `0:0${seconds}.${tenths % 10}`;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+}
+
+function renderPlayBar() {
+    const session = playSession;
+    if (!session) return;
+
+    const engineColor = session.color === 'w' ? 'b' : 'w';
+    const remaining = session.active ? getRemainingTime(session) : session.clocks;
+    const turn = game.turn();
+
+    const renderClock = (id, side) => {
+        const el = document.getElementById(id);
+        el.querySelector('.play-clock-time').textContent = session.timed ? formatClock(remaining[side]) : '—';
+        el.classList.toggle('running', session.active && turn === side);
+        el.classList.toggle('low', session.timed && remaining[side] < 10000);
+    };
+    renderClock('engineClock', engineColor);
+    renderClock('playerClock', session.color);
+
+    if (session.active) {
+        document.getElementById('playStatus').textContent = session.thinking ? 'Stockfish is thinking...' : 'Your move';
+    }
+}
+
+function resignGame() {
+    if (!isPlaying()) return;
+    endPlay(playSession.color === 'w' ? '0-1' : '1-0', 'resignation');
+}
+
+// Finish the game and drop into the normal analysis view
+function endPlay(result, reason) {
+    const session = playSession;
+    session.active = false;
+    session.thinking = false;
+    if (session.timer) clearInterval(session.timer);
+    if (session.worker) session.worker.terminate();
+
+    gameHeaders.Result = result;
+    gameHeaders.Termination = reason === 'time' ? 'Time forfeit' : 'Normal';
+
+    let message = 'Draw';
+    if (result !== '1/2-1/2') {
+        const won = (result === '1-0') === (session.color === 'w');
+        message = won ? 'You won' : 'Stockfish won';
+    }
+    document.getElementById('playStatus').textContent = `${message} ${reason === 'time' ? 'on time' : `by ${reason}`}`;
+    document.getElementById('resignBtn').style.display = 'none';
+    document.getElementById('closePlayBtn').style.display = '';
+    document.querySelector('.app-container').classList.remove('playing');
+
+    cancelPromotion();
+    renderPlayBar();
+    updateDisplay();
+    analyzePosition();
+}
+
+// Abandon the game without a result (a new game or position replaced it)
+function stopPlay() {
+    const session = playSession;
+    if (!session) return;
+    playSession = null;
+    if (session.timer) clearInterval(session.timer);
+    if (session.worker) session.worker.terminate();
+
+    document.getElementById('playBar').classList.remove('active');
+    document.querySelector('.app-container').classList.remove('playing');
+}
+
+// ============================================
+// Follow Live Game
+// ============================================
+// Follows a game as it's played, from a Lichess game stream (or any NDJSON
+// stream in the same format) or a PGN URL that's polled. The live moves form
+// the mainline; moves made on the board while following become sidelines.
+const FOLLOW_RETRY_MS = 5000;
+const FOLLOW_ACTIVE_STATUSES = ['created', 'started'];
+
+let followSession = null;
+
+function isFollowing() {
+    return !!followSession;
+}
+
+// While following, the moves up to the live one have to stay in the tree and
+// stay the mainline, so they can't be deleted or have a variation put above them
+function isOnLiveLine(node) {
+    return isFollowing() && isInSubtree(followSession.liveNode, node);
+}
+
+function getFollowConfig() {
+    const config = (typeof CONFIG !== 'undefined' && CONFIG.follow) || {};
+    return {
+        lichessUrl: config.lichessUrl || 'https://lichess.org',
+        pollInterval: config.pollInterval || 5
+    };
+}
+
+// Lichess game links and IDs become their stream (or PGN export) URL;
+// anything else is fetched as given
+function resolveFollowUrl(input, type) {
+    const { lichessUrl } = getFollowConfig();
+    const gameMatch = input.match(/^(?:https?:\/\/lichess\.org\/)?([a-zA-Z0-9]{8})(?:[a-zA-Z0-9]{4})?(?:\/(?:white|black))?\/?$/);
+    if (!gameMatch) return input;
+    return type === 'pgn'
+        ? `${lichessUrl}/game/export/${gameMatch[1]}`
+        : `${lichessUrl}/api/stream/game/${gameMatch[1]}`;
+}
+
+function openFollowModal() {
+    document.getElementById('followError').innerHTML = '';
+    document.getElementById('followModal').classList.add('active');
+    document.getElementById('followUrl').focus();
+}
+
+function closeFollowModal() {
+    document.getElementById('followModal').classList.remove('active');
+}
+
+function startFollowFromModal() {
+    const input = document.getElementById('followUrl').value.trim();
+    const type = document.getElementById('followType').value;
+    if (!input) {
+        document.getElementById('followError').innerHTML =
+            '<div class="pgn-error"><span>Enter a Lichess game or a stream / PGN URL</span></div>';
+        return;
+    }
+    closeFollowModal();
+    startFollow(resolveFollowUrl(input, type), type);
+}
+
+function startFollow(url, type) {
+    stopPlay();
+    stopTraining();
+    newGame();
+    // Following the same game again brings its coach chat back
+    moveTree.gameKey = `follow-${hashGameKey(url)}`;
+    loadCoachChat();
+
+    const session = {
+        url,
+        type,
+        controller: new AbortController(),
+        liveNode: moveTree,
+        // Live moves played while the user was looking at another position
+        unseen: 0,
+        state: 'connecting',
+        result: null,
+        timer: null
+    };
+    followSession = session;
+    renderFollowBar();
+
+    if (type === 'pgn') {
+        pollFollowPgn(session);
+    } else {
+        readFollowStream(session);
+    }
+}
+
+function stopFollow() {
+    const session = followSession;
+    if (!session) return;
+    followSession = null;
+    session.controller.abort();
+    if (session.timer) clearTimeout(session.timer);
+    renderFollowBar();
+    // The live line can be edited again
+    updateHistoryActions();
+}
+
+async function readFollowStream(session) {
+    try {
+        const response = await fetch(session.url, { signal: session.controller.signal });
+        if (!response.ok) {
+            throw new Error(`Stream error: ${response.status}`);
+        }
+        setFollowState(session, 'live');
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        const parseLine = (line) => {
+            if (!line.trim()) return;
+            try {
+                handleFollowEvent(session, JSON.parse(line));
+            } catch (e) {
+                console.warn('Skipping follow event:', e.message);
+            }
+        };
+
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(parseLine);
+        }
+        parseLine(buffer);
+
+        // Lichess closes the stream when the game ends
+        if (followSession === session && session.state !== 'finished') {
+            setFollowState(session, 'ended');
+        }
+    } catch (e) {
+        if (e.name === 'AbortError' || followSession !== session) return;
+        console.error('Follow stream error:', e);
+        setFollowState(session, 'reconnecting');
+        session.timer = setTimeout(() => readFollowStream(session), FOLLOW_RETRY_MS);
+    }
+}
+
+async function pollFollowPgn(session) {
+    try {
+        const response = await fetch(session.url, { signal: session.controller.signal, cache: 'no-store' });
+        if (!response.ok) {
+            throw new Error(`PGN error: ${response.status}`);
+        }
+        const text = await response.text();
+        if (followSession !== session) return;
+
+        // A broadcast round may hold several games; the first is followed
+        const parsed = parsePgn(splitPgnGames(text)[0] || '');
+        gameHeaders = parsed.headers;
+        setFollowState(session, 'live');
+        syncFollowMoves(session, parsed.headers.FEN || DEFAULT_FEN, parsed.moves.map(m => m.san));
+
+        const result = parsed.headers.Result || parsed.result;
+        if (result && result !== '*') {
+            session.result = result;
+            setFollowState(session, 'finished');
+        }
+    } catch (e) {
+        if (e.name === 'AbortError' || followSession !== session) return;
+        console.error('Follow poll error:', e);
+        setFollowState(session, 'reconnecting');
+    }
+
+    if (followSession === session && session.state !== 'finished') {
+        session.timer = setTimeout(() => pollFollowPgn(session), getFollowConfig().pollInterval * 1000);
+    }
+}
+
+// One NDJSON event. Understands Lichess game streams (full game, then
+// { fen, lm } per move), Board API events ({ type: 'gameFull' | 'gameState' })
+// and lines carrying a PGN.
+function handleFollowEvent(session, data) {
+    if (followSession !== session) return;
+
+    const players = data.players;
+    if (players) {
+        const name = (player) => player?.user?.name || player?.name;
+        if (name(players.white)) gameHeaders.White = name(players.white);
+        if (name(players.black)) gameHeaders.Black = name(players.black);
+    }
+
+    if (data.type === 'gameFull') {
+        session.startFen = data.initialFen && data.initialFen !== 'startpos' ? data.initialFen : DEFAULT_FEN;
+        syncFollowMoves(session, session.startFen, data.state.moves.split(' '));
+    } else if (data.type === 'gameState') {
+        syncFollowMoves(session, session.startFen || DEFAULT_FEN, data.moves.split(' '));
+    } else if (data.pgn) {
+        const parsed = parsePgn(data.pgn);
+        syncFollowMoves(session, parsed.headers.FEN || DEFAULT_FEN, parsed.moves.map(m => m.san));
+    } else if (typeof data.moves === 'string') {
+        syncFollowMoves(session, data.initialFen || DEFAULT_FEN, data.moves.split(' '));
+    } else if (data.fen) {
+        applyFollowPosition(session, data.fen, data.lm || data.lastMove, data.player);
+    }
+
+    const status = data.status?.name || data.status || data.state?.status;
+    if (status && !FOLLOW_ACTIVE_STATUSES.includes(status)) {
+        if (data.winner) session.result = data.winner === 'white' ? '1-0' : '0-1';
+        else if (status !== 'aborted') session.result = '1/2-1/2';
+        setFollowState(session, 'finished');
+    }
+}
+
+// Bring the live line in line with the game's full move list (SAN or UCI).
+// Moves no longer in the game (a takeback) are kept as a sideline.
+function syncFollowMoves(session, startFen, moves) {
+    const fen = new Chess(startFen).fen();
+    const atLive = currentNode === session.liveNode;
+    if (moveTree.fen !== fen) resetFollowTree(session, fen);
+
+    const chess = new Chess(fen);
+    let node = moveTree;
+    for (const token of moves) {
+        if (!token) continue;
+        const move = chess.move(token, { sloppy: true });
+        if (!move) {
+            console.warn('Illegal move in followed game:', token);
+            break;
+        }
+        node = appendLiveMove(node, move, chess.fen());
+    }
+    setLiveNode(session, node, atLive);
+}
+
+// A position from the stream: normally the previous live position plus the
+// last move, otherwise a takeback or a game joined mid-way
+function applyFollowPosition(session, streamFen, lastMove, player) {
+    const atLive = currentNode === session.liveNode;
+    const live = session.liveNode;
+    if (isSamePlacement(live.fen, streamFen)) return;
+
+    if (lastMove) {
+        const chess = new Chess(live.fen);
+        const move = chess.move(lastMove, { sloppy: true });
+        if (move && isSamePlacement(chess.fen(), streamFen)) {
+            setLiveNode(session, appendLiveMove(live, move, chess.fen()), atLive);
+            return;
+        }
+    }
+
+    const earlier = [moveTree, ...getNodePath(live)].reverse().find(n => isSamePlacement(n.fen, streamFen));
+    if (earlier) {
+        setLiveNode(session, earlier, atLive);
+        return;
+    }
+
+    const fen = completeStreamFen(streamFen, lastMove, player);
+    if (!game.validate_fen(fen).valid) {
+        console.warn('Invalid position in followed game:', streamFen);
+        return;
+    }
+    resetFollowTree(session, new Chess(fen).fen());
+    setLiveNode(session, moveTree, true);
+}
+
+// Streams may send only the piece placement; the side to move is then the
+// one whose piece didn't just move
+function completeStreamFen(fen, lastMove, player) {
+    const fields = fen.split(' ');
+    if (fields.length >= 4) return fen;
+
+    let turn = fields[1] || (player === 'black' ? 'b' : 'w');
+    if (!fields[1] && lastMove) {
+        const piece = new Chess(`${fields[0]} w - - 0 1`).get(lastMove.substring(2, 4));
+        if (piece) turn = piece.color === 'w' ? 'b' : 'w';
+    }
+    return `${fields[0]} ${turn} - - 0 1`;
+}
+
+function isSamePlacement(fen, streamFen) {
+    const [placement, turn] = fen.split(' ');
+    const [streamPlacement, streamTurn] = streamFen.split(' ');
+    return placement === streamPlacement && (!streamTurn || turn === streamTurn);
+}
+
+// Live moves are always the main continuation
+function appendLiveMove(parent, move, fen) {
+    const child = appendMoveNode(parent, move, fen);
+    const siblings = parent.children;
+    if (siblings[0] !== child) {
+        siblings.splice(siblings.indexOf(child), 1);
+        siblings.unshift(child);
+    }
+    return child;
+}
+
+// Start the tree again from a new position without ending the session. The
+// board and `game` go with it, as the position they showed is gone.
+function resetFollowTree(session, fen) {
+    // The coach chat stays with the followed game
+    const { gameKey, chat } = moveTree;
+    followSession = null;
+    resetMoveTree(fen);
+    moveTree.gameKey = gameKey;
+    moveTree.chat = chat;
+    renderCoach();
+    followSession = session;
+    session.liveNode = moveTree;
+    session.unseen = 0;
+    showNode(moveTree, { replace: true });
+}
+
+// Move the live position, taking the board along unless the user is
+// exploring elsewhere
+function setLiveNode(session, node, atLive) {
+    const previous = session.liveNode;
+    session.liveNode = node;
+
+    if (atLive || (currentNode === moveTree && previous === moveTree)) {
+        session.unseen = 0;
+        if (currentNode !== node) goToNode(node, { replace: true });
+    } else {
+        if (node !== previous) session.unseen += Math.max(node.ply - previous.ply, 0);
+        updateMoveHistory();
+        updateEvalGraph();
+    }
+    renderFollowBar();
+}
+
+function backToLive() {
+    if (!followSession) return;
+    followSession.unseen = 0;
+    goToNode(followSession.liveNode);
+    renderFollowBar();
+}
+
+function setFollowState(session, state) {
+    if (followSession !== session) return;
+    session.state = state;
+    renderFollowBar();
+}
+
+function renderFollowBar() {
+    const session = followSession;
+    const bar = document.getElementById('followBar');
+    bar.classList.toggle('active', !!session);
+    document.getElementById('followBtn').classList.toggle('btn-primary', !!session);
+    if (!session) return;
+
+    const ply = session.liveNode.ply;
+    const lastMove = ply > 0
+        ? `${Math.ceil(ply / 2)}${ply % 2 === 1 ? '.' : '...'} ${session.liveNode.san}`
+        : 'no moves yet';
+    const states = {
+        connecting: 'Connecting...',
+        live: `Live · ${lastMove}`,
+        reconnecting: `Connection lost, retrying · ${lastMove}`,
+        ended: `Stream ended · ${lastMove}`,
+        finished: `Game over${session.result ? ` (${session.result})` : ''} · ${lastMove}`
+    };
+    document.getElementById('followDot').className = `follow-dot ${session.state}`;
+    document.getElementById('followStatus').textContent = states[session.state];
+
+    const backBtn = document.getElementById('backToLiveBtn');
+    backBtn.disabled = currentNode === session.liveNode;
+    backBtn.textContent = session.unseen > 0 ? `Back to live (+${session.unseen})` : 'Back to live';
+}
+
+// ============================================
+// Guess the Move
+// ============================================
+const TRAINING_MAX_POINTS = 10;
+const TRAINING_SUMMARY_POSITIONS = 5;
+
+let trainingSession = null;
+
+function isTraining() {
+    return !!(trainingSession && trainingSession.state !== 'finished');
+}
+
+function openTrainingModal() {
+    document.getElementById('trainingErrors').innerHTML = '';
+    document.getElementById('trainingModal').classList.add('active');
+}
+
+function closeTrainingModal() {
+    document.getElementById('trainingModal').classList.remove('active');
+}
+
+async function startTrainingFromModal() {
+    const text = document.getElementById('trainingPgn').value.trim();
+    if (text) {
+        const errors = loadPgn(text);
+        if (errors.length > 0) {
+            document.getElementById('trainingErrors').innerHTML = errors.map(e => `
+                <div class="pgn-error">
+                    ${e.move ? `<span class="pgn-error-move">${escapeHtml(e.move)}</span>` : ''}
+                    <span>${escapeHtml(e.message)}</span>
+                </div>
+            `).join('');
+            return;
+        }
+    }
+    closeTrainingModal();
+    await startTraining(document.getElementById('trainingSide').value);
+}
+
+async function startTraining(side) {
+    stopTraining();
+    stopPlay();
+    stopDrill();
+    stopFollow();
+    cancelGameAnalysis();
+
+    const session = {
+        side,
+        state: 'guessing',
+        node: null,
+        guess: null,
+        analysisReady: false,
+        results: [],
+        worker: null,
+        abort: null
+    };
+
+    // Evaluates guesses (and game moves) the live analysis didn't list
+    try {
+        session.worker = await createEngineWorker();
+    } catch (e) {
+        console.error('Failed to start training engine:', e);
+        alert('Failed to load the chess engine');
+        return;
+    }
+    session.worker.postMessage('uci');
+    trainingSession = session;
+
+    document.querySelector('.app-container').classList.add('training');
+    document.getElementById('trainingPanel').classList.add('active');
+    document.getElementById('trainingStopBtn').textContent = 'Finish';
+    if ((side === 'b') !== boardFlipped) flipBoard();
+
+    // First position of the mainline where the chosen side moves
+    let node = moveTree;
+    if (node.children.length > 0 && node.fen.split(' ')[1] !== side) node = node.children[0];
+    showTrainingPosition(node);
+}
+
+function showTrainingPosition(node) {
+    const session = trainingSession;
+    if (!node || node.children.length === 0) {
+        finishTraining();
+        return;
+    }
+
+    session.state = 'guessing';
+    session.node = node;
+    session.guess = null;
+    session.analysisReady = false;
+    showNode(node);
+    renderTraining();
+}
+
+// Called from playMove: take the move as the guess instead of playing it
+function submitGuess(moveInput) {
+    const session = trainingSession;
+    if (session.state !== 'guessing') return null;
+
+    const chess = new Chess(game.fen());
+    const move = chess.move(moveInput);
+    if (move === null) return null;
+
+    session.state = 'scoring';
+    session.guess = {
+        san: move.san,
+        uci: move.from + move.to + (move.promotion || ''),
+        fen: chess.fen()
+    };
+    board.position(chess.fen());
+    renderTraining();
+    scoreGuessWhenReady();
+    return move;
+}
+
+// Hook for finalizeAnalysis: the live engine has finished with the position
+function handleTrainingAnalysis() {
+    const session = trainingSession;
+    if (currentNode !== session.node || currentAnalysis.length === 0) return;
+    session.analysisReady = true;
+    scoreGuessWhenReady();
+}
+
+async function scoreGuessWhenReady() {
+    const session = trainingSession;
+    if (session.state !== 'scoring' || !session.analysisReady) return;
+
+    const node = session.node;
+    const gameNode = node.children[0];
+    const turn = node.fen.split(' ')[1];
+    const best = currentAnalysis[0];
+
+    // Evals of moves outside the engine's candidate list come from the training worker
+    const evalForMove = async (uci, fenAfter) => {
+        const candidate = currentAnalysis.find(m => m.uci === uci);
+        if (candidate) return candidate.eval;
+        const terminalEval = getTerminalEval(fenAfter);
+        if (terminalEval) return terminalEval;
+        const result = await evaluateForGameAnalysis(session, fenAfter, getGameAnalysisDepth());
+        return result ? result.eval : null;
+    };
+
+    const guessEval = await evalForMove(session.guess.uci, session.guess.fen);
+    const gameEval = await evalForMove(gameNode.uci, gameNode.fen);
+    // Stopped while the worker was busy
+    if (trainingSession !== session || guessEval === null || gameEval === null) return;
+
+    const moverWinProb = (evalStr) => turn === 'w' ? winProbability(evalStr) : 100 - winProbability(evalStr);
+    const bestWinProb = moverWinProb(best.eval);
+    const guessLoss = Math.max(0, bestWinProb - moverWinProb(guessEval));
+
+    session.results.push({
+        node,
+        gameNode,
+        guessSan: session.guess.san,
+        guessEval,
+        gameEval,
+        bestSan: best.move,
+        bestEval: best.eval,
+        guessLoss,
+        gameLoss: Math.max(0, bestWinProb - moverWinProb(gameEval)),
+        // How much worse the guess was than the move actually played
+        deficit: moverWinProb(gameEval) - moverWinProb(guessEval),
+        points: Math.round(TRAINING_MAX_POINTS * moveAccuracy(guessLoss) / 100),
+        matchedGame: session.guess.uci === gameNode.uci,
+        matchedEngine: session.guess.uci === best.uci,
+        explanation: null
+    });
+
+    // Reveal the game move
+    session.state = 'reviewed';
+    showNode(gameNode);
+    renderTraining();
+}
+
+function nextTrainingPosition() {
+    const session = trainingSession;
+    if (!session || session.state !== 'reviewed') return;
+    showTrainingPosition(session.node.children[0].children[0]);
+}
+
+function finishTraining() {
+    const session = trainingSession;
+    if (!session || session.state === 'finished') return;
+
+    session.state = 'finished';
+    if (session.abort) session.abort();
+    session.worker.terminate();
+
+    document.querySelector('.app-container').classList.remove('training');
+    document.getElementById('trainingStopBtn').textContent = 'Close';
+    board.position(game.fen());
+    updateDisplay();
+    analyzePosition();
+    renderTraining();
+}
 
-    // Handle game-over states — Stockfish can't analyze terminal positions
-    if (game.game_over()) {
-        let message = 'Game over';
-        if (game.in_checkmate()) {
-            const winner = game.turn() === 'w' ? 'Black' : 'White';
-            message = `Checkmate — ${winner} wins`;
-        } else if (game.in_stalemate()) {
-            message = 'Stalemate — Draw';
-        } else if (game.in_threefold_repetition()) {
-            message = 'Threefold repetition — Draw';
-        } else if (game.insufficient_material()) {
-            message = 'Insufficient material — Draw';
-        } else if (game.in_draw()) {
-            message = 'Draw';
+// Drop the session entirely (a new game or position replaced it)
+function stopTraining() {
+    const session = trainingSession;
+    if (!session) return;
+    trainingSession = null;
+    if (session.state !== 'finished') {
+        if (session.abort) session.abort();
+        session.worker.terminate();
+    }
+
+    document.querySelector('.app-container').classList.remove('training');
+    document.getElementById('trainingPanel').classList.remove('active');
+}
+
+function summarizeTraining(results) {
+    return {
+        points: results.reduce((sum, r) => sum + r.points, 0),
+        maxPoints: results.length * TRAINING_MAX_POINTS,
+        gameMatches: results.filter(r => r.matchedGame).length,
+        engineMatches: results.filter(r => r.matchedEngine).length
+    };
+}
+
+function renderTraining() {
+    const session = trainingSession;
+    if (!session) return;
+
+    const summary = summarizeTraining(session.results);
+    const sideName = session.side === 'w' ? 'White' : 'Black';
+    const status = document.getElementById('trainingStatus');
+    const content = document.getElementById('trainingContent');
+    document.getElementById('trainingNextBtn').style.display = session.state === 'reviewed' ? '' : 'none';
+
+    const scoreLine = `
+        <div class="training-score">
+            ${summary.points} / ${summary.maxPoints} points ·
+            ${summary.gameMatches} of ${session.results.length} game moves found ·
+            ${summary.engineMatches} engine best
+        </div>
+    `;
+
+    if (session.state === 'guessing') {
+        status.textContent = `Move ${session.results.length + 1}`;
+        content.innerHTML = `<div class="training-prompt">Find the move ${sideName} played</div>${scoreLine}`;
+    } else if (session.state === 'scoring') {
+        status.textContent = 'Scoring...';
+        content.innerHTML = `
+            <div class="training-prompt">You played ${escapeHtml(session.guess.san)}</div>
+            <div class="training-score">${session.analysisReady ? 'Evaluating your move...' : 'Waiting for Stockfish...'}</div>
+        `;
+    } else if (session.state === 'reviewed') {
+        const r = session.results[session.results.length - 1];
+        status.textContent = `+${r.points} points`;
+        content.innerHTML = `
+            <div class="training-result">
+                ${renderTrainingMove('You', r.guessSan, r.guessEval, r.guessLoss)}
+                ${renderTrainingMove('Game', r.gameNode.san, r.gameEval, r.gameLoss)}
+                ${renderTrainingMove('Engine', r.bestSan, r.bestEval, 0)}
+            </div>
+            <div class="training-verdict">${r.matchedGame ? 'You found the game move!' : r.deficit > 0 ? 'The game move was stronger' : 'Your move holds up against the game move'}</div>
+            ${scoreLine}
+        `;
+    } else {
+        status.textContent = 'Complete';
+        content.innerHTML = renderTrainingSummary(session, summary);
+    }
+}
+
+function renderTrainingMove(label, san, evalStr, loss) {
+    return `
+        <div class="training-move">
+            <span class="stat-label">${label}</span>
+            <span class="training-move-san">${escapeHtml(san)}</span>
+            <span class="move-eval ${getEvalClass(evalStr)}">${evalStr}</span>
+            <span class="training-move-loss">${loss >= 0.05 ? `-${loss.toFixed(1)}%` : ''}</span>
+        </div>
+    `;
+}
+
+// Totals, then the positions where the guess fell furthest short of the game move
+function renderTrainingSummary(session, summary) {
+    if (session.results.length === 0) {
+        return '<div class="empty-state">No moves guessed</div>';
+    }
+
+    const worst = session.results
+        .map((r, i) => ({ ...r, index: i }))
+        .filter(r => !r.matchedGame && r.deficit > 0)
+        .sort((a, b) => b.deficit - a.deficit)
+        .slice(0, TRAINING_SUMMARY_POSITIONS);
+
+    const rows = worst.map(r => `
+        <div class="training-review">
+            <div class="training-review-header">
+                <span class="training-review-move" data-node="${r.node.id}">${escapeHtml(formatMoveLabel(r.node.fen, r.gameNode.san))}</span>
+                <span>You: ${escapeHtml(r.guessSan)} <span class="training-move-loss">-${r.deficit.toFixed(1)}%</span></span>
+                ${r.explanation ? '' : `<button class="btn training-explain-btn" data-result="${r.index}">Explain</button>`}
+            </div>
+            ${r.explanation ? `<div class="move-explanation">${escapeHtml(r.explanation)}</div>` : ''}
+        </div>
+    `).join('');
+
+    return `
+        <div class="accuracy-grid">
+            <div class="accuracy-side">
+                <span class="stat-label">Score</span>
+                <span class="accuracy-value">${Math.round(summary.points / summary.maxPoints * 100)}%</span>
+                <span class="stat-label">${summary.points} / ${summary.maxPoints} points</span>
+            </div>
+            <div class="accuracy-side">
+                <span class="stat-label">Matches</span>
+                <span class="accuracy-value">${summary.gameMatches} / ${session.results.length}</span>
+                <span class="stat-label">${summary.engineMatches} engine best</span>
+            </div>
+        </div>
+        ${rows ? `<div class="training-reviews">${rows}</div>` : ''}
+    `;
+}
+
+function handleTrainingClick(e) {
+    const explainBtn = e.target.closest('.training-explain-btn');
+    if (explainBtn) {
+        explainTrainingResult(parseInt(explainBtn.dataset.result));
+        return;
+    }
+    const moveEl = e.target.closest('[data-node]');
+    if (moveEl && !isTraining()) goToNode(treeNodes.get(parseInt(moveEl.dataset.node)));
+}
+
+// Ask Claude why the game move beat the guess
+async function explainTrainingResult(index) {
+    if (!isLlmConfigured()) {
+        openLlmSettings();
+        return;
+    }
+
+    const session = trainingSession;
+    const r = session.results[index];
+    const btn = document.querySelector(`.training-explain-btn[data-result="${index}"]`);
+    if (btn) {
+        btn.disabled = true;
+        btn.textContent = 'Explaining...';
+    }
+
+    const turn = r.node.fen.split(' ')[1] === 'w' ? 'White' : 'Black';
+    const prompt = `You are a chess coach. A student is studying a master game by guessing the moves.
+
+Position (FEN): ${r.node.fen}
+${turn} to move.
+
+The game continued ${r.gameNode.san} (eval: ${r.gameEval}).
+The student guessed ${r.guessSan} (eval: ${r.guessEval}).
+The engine's top move is ${r.bestSan} (eval: ${r.bestEval}).
+
+In 2-3 sentences, explain why ${r.gameNode.san} is better than ${r.guessSan}: what the game move achieves and what the student's move misses or allows.`;
+
+    try {
+        r.explanation = (await requestLlm(prompt, 512)).trim();
+    } catch (e) {
+        console.error('Claude API error:', e);
+        r.explanation = 'Error fetching explanation';
+    }
+    if (trainingSession === session) renderTraining();
+}
+
+// ============================================
+// Evaluation Graph
+// ============================================
+const EVAL_GRAPH_WIDTH = 480;
+const EVAL_GRAPH_HEIGHT = 100;
+// Win-probability change between plies (percentage points) marked as a swing
+const EVAL_SWING_THRESHOLD = CLASSIFICATION_THRESHOLDS.mistake;
+
+// Nodes currently plotted, indexed by their position on the x axis
+let evalGraphNodes = [];
+
+// The line through the current node: the path to it plus its main continuation
+function getCurrentLine() {
+    const line = [moveTree, ...getNodePath(currentNode)];
+    for (let n = currentNode.children[0]; n; n = n.children[0]) line.push(n);
+    return line;
+}
+
+function updateEvalGraph() {
+    const chart = document.getElementById('evalGraphChart');
+    evalGraphNodes = getCurrentLine();
+
+    if (evalGraphNodes.length < 2) {
+        chart.innerHTML = '<div class="eval-graph-empty">Play or load some moves to see the evaluation graph</div>';
+        return;
+    }
+
+    const step = EVAL_GRAPH_WIDTH / (evalGraphNodes.length - 1);
+    const points = [];
+    evalGraphNodes.forEach((node, i) => {
+        if (!node.annotation.eval) return;
+        const winProb = winProbability(node.annotation.eval);
+        points.push({ i, node, winProb, x: i * step, y: (1 - winProb / 100) * EVAL_GRAPH_HEIGHT });
+    });
+
+    let svg = '';
+    if (points.length > 0) {
+        const line = points.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ');
+        const first = points[0];
+        const last = points[points.length - 1];
+        svg += `<polygon class="eval-graph-area" points="${first.x.toFixed(1)},${EVAL_GRAPH_HEIGHT} ${line} ${last.x.toFixed(1)},${EVAL_GRAPH_HEIGHT}"/>`;
+        svg += `<polyline class="eval-graph-line" points="${line}"/>`;
+    }
+    svg += `<line class="eval-graph-mid" x1="0" y1="${EVAL_GRAPH_HEIGHT / 2}" x2="${EVAL_GRAPH_WIDTH}" y2="${EVAL_GRAPH_HEIGHT / 2}"/>`;
+
+    const currentX = (evalGraphNodes.indexOf(currentNode) * step).toFixed(1);
+    svg += `<line class="eval-graph-cursor" x1="${currentX}" y1="0" x2="${currentX}" y2="${EVAL_GRAPH_HEIGHT}"/>`;
+
+    // Mark the turning points: classified errors, or big swings between
+    // consecutive plies. The SVG stretches to fit, so the markers sit on top
+    // of it as HTML to stay round.
+    let markers = '';
+    points.forEach((p, index) => {
+        const prev = points[index - 1];
+        const classification = p.node.annotation.classification;
+        const isError = ['inaccuracy', 'mistake', 'blunder'].includes(classification);
+        const isSwing = prev && prev.i === p.i - 1 && Math.abs(p.winProb - prev.winProb) >= EVAL_SWING_THRESHOLD;
+        if (!isError && !isSwing) return;
+
+        const swingClass = isError ? `class-${classification}` : 'class-swing';
+        const left = (p.x / EVAL_GRAPH_WIDTH * 100).toFixed(2);
+        const top = (p.y / EVAL_GRAPH_HEIGHT * 100).toFixed(2);
+        markers += `<span class="eval-graph-swing ${swingClass}" style="left: ${left}%; top: ${top}%;"></span>`;
+    });
+
+    chart.innerHTML = `<svg class="eval-graph-svg" viewBox="0 0 ${EVAL_GRAPH_WIDTH} ${EVAL_GRAPH_HEIGHT}" preserveAspectRatio="none">${svg}</svg>${markers}`;
+}
+
+// Index of the plotted ply nearest the pointer
+function getEvalGraphIndex(e) {
+    const rect = document.getElementById('evalGraphChart').getBoundingClientRect();
+    const ratio = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    return Math.round(ratio * (evalGraphNodes.length - 1));
+}
+
+function showEvalGraphTooltip(e) {
+    const tooltip = document.getElementById('evalGraphTooltip');
+    if (evalGraphNodes.length < 2) return;
+
+    const index = getEvalGraphIndex(e);
+    const node = evalGraphNodes[index];
+    const annotation = node.annotation;
+    const label = node.parent ? formatMoveLabel(node.parent.fen, node.san) : 'Start';
+    const classification = annotation.classification && annotation.classification !== 'good'
+        ? ` · ${CLASSIFICATION_LABELS[annotation.classification]}`
+        : '';
+
+    tooltip.textContent = `${label}  ${annotation.eval || 'not analyzed'}${classification}`;
+    tooltip.style.left = `${(index / (evalGraphNodes.length - 1)) * 100}%`;
+    tooltip.classList.add('active');
+}
+
+function hideEvalGraphTooltip() {
+    document.getElementById('evalGraphTooltip').classList.remove('active');
+}
+
+function handleEvalGraphClick(e) {
+    if (evalGraphNodes.length < 2) return;
+    goToNode(evalGraphNodes[getEvalGraphIndex(e)]);
+}
+
+// ============================================
+// Opening Book
+// ============================================
+const EXPLORER_SPEEDS = ['ultraBullet', 'bullet', 'blitz', 'rapid', 'classical', 'correspondence'];
+const EXPLORER_RATINGS = [400, 1000, 1200, 1400, 1600, 1800, 2000, 2200, 2500];
+const DEFAULT_EXPLORER_SETTINGS = {
+    db: 'masters',
+    speeds: ['blitz', 'rapid', 'classical'],
+    ratings: [1600, 1800, 2000, 2200, 2500],
+    since: '',
+    until: '',
+    player: '',
+    color: 'white'
+};
+
+let explorerSettings = { ...DEFAULT_EXPLORER_SETTINGS, ...JSON.parse(localStorage.getItem('explorer_settings') || '{}') };
+let openingAbort = null;
+
+function getExplorerBaseUrl() {
+    const baseUrl = (typeof CONFIG !== 'undefined' && CONFIG.explorer?.baseUrl) || 'https://explorer.lichess.ovh';
+    return baseUrl.replace(/\/$/, '');
+}
+
+// Explorer endpoint for a position with a database's filters
+function buildExplorerUrl(fen, settings) {
+    const params = new URLSearchParams({ fen });
+    if (settings.db !== 'masters') {
+        params.set('variant', 'standard');
+        if (settings.speeds.length > 0) params.set('speeds', settings.speeds.join(','));
+        if (settings.since) params.set('since', settings.since);
+        if (settings.until) params.set('until', settings.until);
+    }
+    if (settings.db === 'lichess' && settings.ratings.length > 0) {
+        params.set('ratings', settings.ratings.join(','));
+    }
+    if (settings.db === 'player') {
+        params.set('player', settings.player);
+        params.set('color', settings.color);
+    }
+    return `${getExplorerBaseUrl()}/${settings.db}?${params}`;
+}
+
+// Fetch explorer stats for a position. The player database streams NDJSON
+// while it indexes games; each line is a more complete result and is passed
+// to onUpdate as it arrives.
+async function fetchExplorerData(fen, settings, signal, onUpdate) {
+    // Revisited positions come from the cache
+    const url = buildExplorerUrl(fen, settings);
+    const maxAge = settings.db === 'player' ? PLAYER_EXPLORER_CACHE_MAX_AGE : EXPLORER_CACHE_MAX_AGE;
+    const cached = await cacheGet('explorer', url, maxAge);
+    if (cached) return cached;
+
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+        throw new Error(`Explorer error: ${response.status}`);
+    }
+    if (settings.db !== 'player') {
+        const data = await response.json();
+        cacheSet('explorer', url, data);
+        return data;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let data = null;
+    const parseLine = (line) => {
+        if (!line.trim()) return;
+        data = JSON.parse(line);
+        if (onUpdate) onUpdate(data);
+    };
+
+    // The stream ends once the player's games are indexed; a stream cut off
+    // before then throws here, so partial stats are never cached
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(parseLine);
+    }
+    parseLine(buffer);
+    if (data) cacheSet('explorer', url, data);
+    return data;
+}
+
+// Lichess masters database stats for a position
+function fetchMastersData(fen) {
+    return fetchExplorerData(fen, { db: 'masters' });
+}
+
+function getExplorerLabel(db) {
+    if (db === 'player') return `${explorerSettings.player}'s games as ${explorerSettings.color}`;
+    if (db === 'local') return 'local book';
+    return db === 'lichess' ? 'Lichess database' : 'masters database';
+}
+
+async function fetchOpeningData() {
+    const fen = game.fen();
+    const db = explorerSettings.db;
+
+    // Only the latest position's request matters
+    if (openingAbort) openingAbort.abort();
+    const controller = new AbortController();
+    openingAbort = controller;
+
+    // The local book is also the fallback when the explorer can't be reached
+    const results = { remote: null, local: null, remoteFailed: false, localFailed: false };
+    const show = () => {
+        if (openingAbort === controller) showOpeningResults(results);
+    };
+    const localRequest = getLocalBookData(fen)
+        .then(data => {
+            results.local = data;
+            show();
+        })
+        .catch((e) => {
+            console.warn('Local book read failed:', e);
+            results.local = null;
+            results.localFailed = true;
+            if (db === 'local') show();
+        });
+
+    if (db === 'local') return localRequest;
+    if (db === 'player' && !explorerSettings.player) {
+        document.getElementById('openingContent').innerHTML =
+            '<div class="empty-state">Enter a Lichess username in the filters to explore their games</div>';
+        return;
+    }
+
+    try {
+        results.remote = await fetchExplorerData(fen, explorerSettings, controller.signal, (data) => {
+            results.remote = data;
+            show();
+        });
+    } catch (e) {
+        if (e.name === 'AbortError') return;
+        console.error('Opening fetch error:', e);
+        results.remoteFailed = true;
+        await localRequest;
+    }
+    show();
+}
+
+function hasBookData(data) {
+    return !!data && (data.white + data.draws + data.black > 0);
+}
+
+// Explorer data, local book data, or both side by side
+function showOpeningResults(results) {
+    const content = document.getElementById('openingContent');
+    const db = explorerSettings.db;
+
+    // Remembered for the coach, which names the opening of later positions too
+    const opening = (results.remote || results.local)?.opening;
+    if (opening) currentNode.opening = opening;
+
+    if (db === 'local') {
+        if (results.localFailed) {
+            content.innerHTML = `<div class="empty-state">Couldn't read your local book</div>`;
+        } else if (results.local) {
+            updateOpeningDisplay(results.local, 'local');
         }
-        document.getElementById('engineDepth').textContent = 'Game over';
-        document.getElementById('moveList').innerHTML = `<div class="empty-state">${message}</div>`;
         return;
     }
 
-    document.getElementById('engineDepth').textContent = 'Analyzing...';
-    document.getElementById('moveList').innerHTML = '<div class="empty-state">Analyzing position...</div>';
+    if (results.remoteFailed) {
+        if (hasBookData(results.local)) {
+            content.innerHTML = `
+                <div class="opening-source">Explorer unavailable — showing your local book</div>
+                ${renderOpeningData(results.local, 'local')}
+            `;
+        } else {
+            content.innerHTML = `
+                <div class="opening-name">Unknown Position</div>
+                <div class="opening-eco">Not in opening book</div>
+            `;
+        }
+        return;
+    }
+
+    if (!results.remote) return;
+    if (explorerSettings.showLocal && results.local) {
+        content.innerHTML = `
+            <div class="opening-compare">
+                <div>
+                    <div class="opening-source">${escapeHtml(getExplorerLabel(db))}</div>
+                    ${renderOpeningData(results.remote, db)}
+                </div>
+                <div>
+                    <div class="opening-source">Local book</div>
+                    ${renderOpeningData(results.local, 'local')}
+                </div>
+            </div>
+        `;
+        return;
+    }
+    updateOpeningDisplay(results.remote, db);
+}
+
+function saveExplorerSettings() {
+    localStorage.setItem('explorer_settings', JSON.stringify(explorerSettings));
+}
+
+function setExplorerDb(db) {
+    explorerSettings.db = db;
+    saveExplorerSettings();
+    // The player database is useless until a username is entered
+    if (db === 'player' && !explorerSettings.player) {
+        document.getElementById('explorerFilters').classList.add('active');
+    }
+    renderExplorerFilters();
+    fetchOpeningData();
+}
+
+function toggleExplorerFilters() {
+    document.getElementById('explorerFilters').classList.toggle('active');
+}
+
+function renderExplorerFilters() {
+    const settings = explorerSettings;
+    const el = document.getElementById('explorerFilters');
+    document.getElementById('explorerDb').value = settings.db;
+    const hasFilters = settings.db === 'lichess' || settings.db === 'player';
+    document.getElementById('explorerFiltersBtn').style.display = hasFilters ? '' : 'none';
+
+    if (!hasFilters) {
+        el.innerHTML = '';
+        return;
+    }
+
+    const checkboxes = (filter, values, selected) => values.map(value => `
+        <label class="explorer-check">
+            <input type="checkbox" data-filter="${filter}" value="${value}"${selected.includes(value) ? ' checked' : ''}>
+            ${value}
+        </label>
+    `).join('');
+
+    el.innerHTML = `
+        ${settings.db === 'player' ? `
+            <div class="explorer-filter-row">
+                <span class="stat-label">Player</span>
+                <input type="text" data-filter="player" value="${escapeHtml(settings.player)}" placeholder="Lichess username">
+                <select data-filter="color">
+                    <option value="white"${settings.color === 'white' ? ' selected' : ''}>as White</option>
+                    <option value="black"${settings.color === 'black' ? ' selected' : ''}>as Black</option>
+                </select>
+            </div>
+        ` : ''}
+        <div class="explorer-filter-row">
+            <span class="stat-label">Speed</span>
+            ${checkboxes('speeds', EXPLORER_SPEEDS, settings.speeds)}
+        </div>
+        ${settings.db === 'lichess' ? `
+            <div class="explorer-filter-row">
+                <span class="stat-label">Rating</span>
+                ${checkboxes('ratings', EXPLORER_RATINGS, settings.ratings)}
+            </div>
+        ` : ''}
+        <div class="explorer-filter-row">
+            <span class="stat-label">Dates</span>
+            <input type="month" data-filter="since" value="${settings.since}">
+            <span>to</span>
+            <input type="month" data-filter="until" value="${settings.until}">
+        </div>
+    `;
+}
+
+function handleExplorerFilterChange(e) {
+    const filter = e.target.dataset.filter;
+    if (!filter) return;
+
+    if (filter === 'speeds' || filter === 'ratings') {
+        const checked = document.querySelectorAll(`#explorerFilters [data-filter="${filter}"]:checked`);
+        explorerSettings[filter] = Array.from(checked).map(input => filter === 'ratings' ? parseInt(input.value) : input.value);
+    } else {
+        explorerSettings[filter] = e.target.value.trim();
+    }
+    saveExplorerSettings();
+    fetchOpeningData();
+}
+
+function updateOpeningDisplay(data, source) {
+    document.getElementById('openingContent').innerHTML = renderOpeningData(data, source);
+}
+
+// Opening name, W/D/L stats, continuations and example games from one source
+function renderOpeningData(data, source) {
+    if (!data.opening && data.moves.length === 0) {
+        return `
+            <div class="opening-name">Out of Book</div>
+            <div class="opening-eco">Position not in ${escapeHtml(getExplorerLabel(source))}</div>
+        `;
+    }
+
+    // The local book has no opening names
+    const fallbackName = source === 'local' && game.history().length > 0 ? 'Local Book' : 'Starting Position';
+    const opening = data.opening || { name: fallbackName, eco: '' };
+    const total = data.white + data.draws + data.black || 1;
+    const whitePercent = ((data.white / total) * 100).toFixed(1);
+    const drawPercent = ((data.draws / total) * 100).toFixed(1);
+    const blackPercent = ((data.black / total) * 100).toFixed(1);
+
+    // Build book moves HTML
+    let bookMovesHtml = '';
+    if (data.moves && data.moves.length > 0) {
+        const topMoves = data.moves.slice(0, 5);
+        const repertoirePath = getRepertoirePath();
+        const repertoireNode = repertoirePath && findRepertoireNode(repertoireColor, repertoirePath);
+        bookMovesHtml = `
+            <div class="book-moves-title">Popular Continuations</div>
+            <div class="book-moves">
+                ${topMoves.map(m => {
+                    const mTotal = m.white + m.draws + m.black || 1;
+                    const mWhite = (m.white / mTotal) * 100;
+                    const mDraw = (m.draws / mTotal) * 100;
+                    const mBlack = (m.black / mTotal) * 100;
+                    const openingName = m.opening ? m.opening.name : '';
+                    const inRepertoire = repertoireNode && repertoireNode.children.some(c => c.uci === m.uci);
+                    const addButton = repertoirePath
+                        ? `<button class="book-move-add${inRepertoire ? ' in-repertoire' : ''}" data-uci="${m.uci}" title="${inRepertoire ? 'In your repertoire' : 'Add to my repertoire'}">${inRepertoire ? '✓' : '+'}</button>`
+                        : '<span></span>';
+                    return `
+                        <div class="book-move">
+                            ${addButton}
+                            <span class="book-move-san">${m.san}</span>
+                            <span class="book-move-opening" title="${openingName}">${openingName || '—'}</span>
+                            <div class="book-move-bar" title="White: ${mWhite.toFixed(0)}% Draw: ${mDraw.toFixed(0)}% Black: ${mBlack.toFixed(0)}%">
+                                <div class="bar-white" style="width: ${mWhite}%"></div>
+                                <div class="bar-draw" style="width: ${mDraw}%"></div>
+                                <div class="bar-black" style="width: ${mBlack}%"></div>
+                            </div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    // Build top games HTML (the Lichess and player databases also list recent games)
+    let topGamesHtml = '';
+    const hasTopGames = data.topGames && data.topGames.length > 0;
+    const listedGames = hasTopGames ? data.topGames : data.recentGames || [];
+    if (listedGames.length > 0) {
+        const games = listedGames.slice(0, 3);
+        topGamesHtml = `
+            <div class="top-games-title">${hasTopGames ? 'Notable Games' : 'Recent Games'}</div>
+            ${games.map(g => {
+                const result = g.winner === 'white' ? '1-0' : g.winner === 'black' ? '0-1' : '½-½';
+                const localGame = source === 'local' ? ` data-local-game="${g.id}" title="Open this game"` : '';
+                return `
+                    <div class="top-game${localGame ? ' top-game-local' : ''}"${localGame}>
+                        <span class="top-game-players">${escapeHtml(g.white.name)} vs ${escapeHtml(g.black.name)}</span>
+                        <span class="top-game-result">${result}</span>
+                        <span class="top-game-year">${g.year}</span>
+                    </div>
+                `;
+            }).join('')}
+        `;
+    }
+
+    return `
+        <div class="opening-name">${opening.name || fallbackName}</div>
+        <div class="opening-eco">${opening.eco || ''}</div>
+        <div class="opening-stats">
+            <div class="stat">
+                <span class="stat-label">Games</span>
+                <span class="stat-value">${total.toLocaleString()}</span>
+            </div>
+            <div class="stat">
+                <span class="stat-label">White wins</span>
+                <span class="stat-value white">${whitePercent}%</span>
+            </div>
+            <div class="stat">
+                <span class="stat-label">Draws</span>
+                <span class="stat-value draw">${drawPercent}%</span>
+            </div>
+            <div class="stat">
+                <span class="stat-label">Black wins</span>
+                <span class="stat-value black">${blackPercent}%</span>
+            </div>
+        </div>
+        ${bookMovesHtml}
+        ${topGamesHtml}
+    `;
+}
+
+// ============================================
+// Local Opening Book
+// ============================================
+// Positions from imported PGN collections, keyed by normalized FEN and stored
+// in IndexedDB so the Opening Book panel works offline
+const LOCAL_BOOK_BATCH = 100;
+const LOCAL_BOOK_GAMES_PER_POSITION = 5;
+const LOCAL_BOOK_RESULT_KEYS = { '1-0': 'white', '0-1': 'black', '1/2-1/2': 'draws' };
+
+function getLocalBookMaxPly() {
+    return (typeof CONFIG !== 'undefined' && CONFIG.localBook?.maxPly) || 30;
+}
+
+// Placement, side to move, castling and an en passant square only when the
+// capture is actually possible, so transpositions share one key
+function normalizeFen(fen) {
+    const [placement, turn, castling, ep] = fen.split(' ');
+    let epSquare = '-';
+    if (ep !== '-' && new Chess(fen).moves({ verbose: true }).some(m => m.flags.includes('e'))) {
+        epSquare = ep;
+    }
+    return `${placement} ${turn} ${castling} ${epSquare}`;
+}
+
+// Replay a game's mainline up to the indexed depth. Returns the game record and
+// the positions it passes through, or null for games without a result.
+function indexPgnGame(text, collection, maxPly) {
+    const parsed = parsePgn(text);
+    const headers = parsed.headers;
+    const result = headers.Result || parsed.result;
+    if (!LOCAL_BOOK_RESULT_KEYS[result] || parsed.moves.length === 0) return null;
+
+    const chess = new Chess();
+    if (headers.FEN && !chess.load(headers.FEN)) return null;
+
+    const positions = [];
+    const seen = new Set();
+    const addPosition = (fen, uci, san) => {
+        const key = normalizeFen(fen);
+        // A repeated position counts once per game
+        if (seen.has(key)) return;
+        seen.add(key);
+        positions.push({ fen: key, uci, san });
+    };
 
-    // Debounce analysis
-    if (analysisTimeout) clearTimeout(analysisTimeout);
+    for (const pgnMove of parsed.moves.slice(0, maxPly)) {
+        const fenBefore = chess.fen();
+        const move = chess.move(pgnMove.san, { sloppy: true });
+        if (!move) break;
+        addPosition(fenBefore, move.from + move.to + (move.promotion || ''), move.san);
+    }
+    addPosition(chess.fen(), null, null);
+
+    const whiteElo = parseInt(headers.WhiteElo) || null;
+    const blackElo = parseInt(headers.BlackElo) || null;
+    return {
+        record: {
+            collection,
+            white: headers.White || '?',
+            black: headers.Black || '?',
+            whiteElo,
+            blackElo,
+            result,
+            date: headers.Date || '',
+            event: headers.Event || '',
+            pgn: text
+        },
+        positions,
+        resultKey: LOCAL_BOOK_RESULT_KEYS[result],
+        rating: whiteElo && blackElo ? (whiteElo + blackElo) / 2 : whiteElo || blackElo || 0
+    };
+}
 
-    analysisTimeout = setTimeout(() => {
-        if (stockfish) {
-            stockfish.postMessage('stop');
-            stockfish.postMessage(`position fen ${game.fen()}`);
-            const depth = (typeof CONFIG !== 'undefined' && CONFIG.engine?.depth) || 18;
-            stockfish.postMessage(`go depth ${depth}`);
-        }
+function createBookPosition(fen) {
+    return { fen, white: 0, draws: 0, black: 0, moves: {}, games: [] };
+}
 
-        // Also fetch opening book data
-        fetchOpeningData();
-    }, 100);
+// Fold one position's counts into another (both shaped like stored positions)
+function mergeBookPosition(target, source) {
+    target.white += source.white;
+    target.draws += source.draws;
+    target.black += source.black;
+    Object.values(source.moves).forEach(m => {
+        const move = target.moves[m.uci] || (target.moves[m.uci] = { uci: m.uci, san: m.san, white: 0, draws: 0, black: 0 });
+        move.white += m.white;
+        move.draws += m.draws;
+        move.black += m.black;
+    });
+    // Keep the highest rated games as examples
+    target.games = [...target.games, ...source.games]
+        .sort((a, b) => b.rating - a.rating)
+        .slice(0, LOCAL_BOOK_GAMES_PER_POSITION);
+    return target;
 }
 
-function handleStockfishMessage(event) {
-    const line = event.data;
+async function addBookGames(records) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('bookGames', 'readwrite');
+        const store = tx.objectStore('bookGames');
+        const ids = [];
+        records.forEach((record, i) => {
+            store.add(record).onsuccess = (e) => {
+                ids[i] = e.target.result;
+            };
+        });
+        tx.oncomplete = () => resolve(ids);
+        tx.onerror = () => reject(tx.error);
+    });
+}
 
-    if (line.startsWith('info depth')) {
-        parseAnalysisLine(line);
-    } else if (line.startsWith('bestmove')) {
-        finalizeAnalysis();
-    }
+async function saveBookPositions(updates) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('bookPositions', 'readwrite');
+        const store = tx.objectStore('bookPositions');
+        updates.forEach(update => {
+            const request = store.get(update.fen);
+            request.onsuccess = () => {
+                const existing = request.result || createBookPosition(update.fen);
+                store.put(mergeBookPosition(existing, update));
+            };
+        });
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
 }
 
-function parseAnalysisLine(line) {
-    const depthMatch = line.match(/depth (\d+)/);
-    const multipvMatch = line.match(/multipv (\d+)/);
-    const scoreMatch = line.match(/score (cp|mate) (-?\d+)/);
-    const pvMatch = line.match(/ pv (.+)/);
+// Index a PGN collection in batches. Resolves with the number of games
+// imported and skipped (no result or no moves).
+async function importLocalBook(text, collection, onProgress) {
+    const games = splitPgnGames(text);
+    const maxPly = getLocalBookMaxPly();
+    let imported = 0;
+    let skipped = 0;
+
+    for (let i = 0; i < games.length; i += LOCAL_BOOK_BATCH) {
+        const batch = [];
+        games.slice(i, i + LOCAL_BOOK_BATCH).forEach(gameText => {
+            const indexed = indexPgnGame(gameText, collection, maxPly);
+            if (indexed) batch.push(indexed);
+            else skipped++;
+        });
 
-    if (!depthMatch || !multipvMatch || !scoreMatch || !pvMatch) return;
+        const ids = await addBookGames(batch.map(g => g.record));
+        const updates = new Map();
+        batch.forEach((g, j) => {
+            g.positions.forEach(p => {
+                const position = updates.get(p.fen) || createBookPosition(p.fen);
+                updates.set(p.fen, position);
+                mergeBookPosition(position, {
+                    white: 0,
+                    draws: 0,
+                    black: 0,
+                    [g.resultKey]: 1,
+                    moves: p.uci ? { [p.uci]: { uci: p.uci, san: p.san, white: 0, draws: 0, black: 0, [g.resultKey]: 1 } } : {},
+                    games: [{ id: ids[j], rating: g.rating }]
+                });
+            });
+        });
+        await saveBookPositions(updates);
 
-    const depth = parseInt(depthMatch[1]);
-    const multipv = parseInt(multipvMatch[1]);
-    const scoreType = scoreMatch[1];
-    const scoreValue = parseInt(scoreMatch[2]);
-    const pv = pvMatch[1].split(' ');
+        imported += batch.length;
+        if (onProgress) onProgress(Math.min(i + LOCAL_BOOK_BATCH, games.length), games.length);
+        // Let the page repaint between batches
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
 
-    // Only update if this is a new depth for this line
-    if (depth >= currentDepth) {
-        currentDepth = depth;
+    return { imported, skipped };
+}
 
-        // Convert UCI move to SAN
-        const tempGame = new Chess(game.fen());
-        const uciMove = pv[0];
-        const from = uciMove.substring(0, 2);
-        const to = uciMove.substring(2, 4);
-        const promotion = uciMove.length > 4 ? uciMove[4] : undefined;
+// Local stats for a position, shaped like an explorer response
+async function getLocalBookData(fen) {
+    const record = await dbGet('bookPositions', normalizeFen(fen));
+    if (!record) return { white: 0, draws: 0, black: 0, moves: [], topGames: [] };
+
+    const total = (m) => m.white + m.draws + m.black;
+    const games = await Promise.all(record.games.map(g => dbGet('bookGames', g.id)));
+    return {
+        white: record.white,
+        draws: record.draws,
+        black: record.black,
+        moves: Object.values(record.moves).sort((a, b) => total(b) - total(a)),
+        topGames: games.filter(Boolean).map(g => ({
+            id: g.id,
+            white: { name: g.white, rating: g.whiteElo },
+            black: { name: g.black, rating: g.blackElo },
+            winner: g.result === '1-0' ? 'white' : g.result === '0-1' ? 'black' : null,
+            year: g.date.slice(0, 4).replace(/\?/g, '') || '—'
+        }))
+    };
+}
 
-        const move = tempGame.move({ from, to, promotion });
-        if (!move) return;
+async function getLocalBookGameCount() {
+    const db = await openDatabase();
+    return idbRequest(db.transaction('bookGames').objectStore('bookGames').count());
+}
 
-        // Calculate eval from current player's perspective
-        let evalScore;
-        if (scoreType === 'mate') {
-            evalScore = scoreValue > 0 ? `M${scoreValue}` : `M${scoreValue}`;
-        } else {
-            // Stockfish gives score from white's perspective
-            const cpScore = game.turn() === 'w' ? scoreValue : -scoreValue;
-            evalScore = (cpScore / 100).toFixed(2);
-            if (cpScore > 0) evalScore = '+' + evalScore;
-        }
+async function clearLocalBook() {
+    if (!confirm('Delete every game and position in the local book?')) return;
+    const db = await openDatabase();
+    const tx = db.transaction(['bookGames', 'bookPositions'], 'readwrite');
+    tx.objectStore('bookGames').clear();
+    tx.objectStore('bookPositions').clear();
+    await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onerror = () => reject(tx.error);
+    });
+    updateLocalBookStats();
+    fetchOpeningData();
+}
 
-        analysisLines[multipv] = {
-            move: move.san,
-            uci: uciMove,
-            eval: evalScore,
-            depth: depth,
-            pv: pv
-        };
+// Open an example game from the local book
+async function loadLocalBookGame(id) {
+    const record = await dbGet('bookGames', id);
+    if (record) loadPgn(record.pgn);
+}
 
-        // Update display at certain depths
-        if (depth >= 10 && depth % 2 === 0) {
-            updateAnalysisDisplay();
-        }
+function openLocalBookModal() {
+    document.getElementById('localBookAlongside').checked = !!explorerSettings.showLocal;
+    document.getElementById('localBookProgress').textContent = '';
+    document.getElementById('localBookModal').classList.add('active');
+    updateLocalBookStats();
+}
+
+function closeLocalBookModal() {
+    document.getElementById('localBookModal').classList.remove('active');
+}
+
+async function updateLocalBookStats() {
+    const el = document.getElementById('localBookStats');
+    try {
+        const count = await getLocalBookGameCount();
+        el.textContent = count > 0
+            ? `${count.toLocaleString()} games indexed (first ${getLocalBookMaxPly()} plies of each)`
+            : 'The local book is empty';
+    } catch (e) {
+        el.textContent = 'Local storage unavailable';
     }
 }
 
-function finalizeAnalysis() {
-    updateAnalysisDisplay();
+async function importLocalBookFromModal() {
+    const files = Array.from(document.getElementById('localBookFiles').files);
+    const texts = await Promise.all(files.map(file => file.text()));
+    const pasted = document.getElementById('localBookPgn').value.trim();
+    if (pasted) texts.push(pasted);
+    if (texts.length === 0) return;
+
+    const collection = document.getElementById('localBookCollection').value.trim() ||
+        (files.length > 0 ? files.map(f => f.name).join(', ') : 'Imported games');
+    const progress = document.getElementById('localBookProgress');
+    const btn = document.getElementById('importLocalBookBtn');
+    btn.disabled = true;
 
-    // Auto-explain if checkbox is checked
-    const autoExplain = document.getElementById('autoExplainCheckbox').checked;
-    if (autoExplain && apiKey && currentAnalysis.length > 0) {
-        fetchExplanations();
+    try {
+        const { imported, skipped } = await importLocalBook(texts.join('\n\n'), collection, (done, total) => {
+            progress.textContent = `Indexing game ${done} / ${total}...`;
+        });
+        progress.textContent = `Imported ${imported} game${imported === 1 ? '' : 's'}` +
+            (skipped > 0 ? ` (${skipped} skipped: no moves or no result)` : '');
+        document.getElementById('localBookPgn').value = '';
+        document.getElementById('localBookFiles').value = '';
+        updateLocalBookStats();
+        fetchOpeningData();
+    } catch (e) {
+        console.error('Local book import failed:', e);
+        progress.textContent = `Import failed: ${e.message}`;
+    } finally {
+        btn.disabled = false;
     }
 }
 
-function updateEvalDisplay(evalStr) {
-    const scoreEl = document.getElementById('evalScore');
-    const barEl = document.getElementById('winProbWhite');
+function toggleLocalBookAlongside(e) {
+    explorerSettings.showLocal = e.target.checked;
+    saveExplorerSettings();
+    fetchOpeningData();
+}
 
-    scoreEl.textContent = evalStr;
+// ============================================
+// Repertoire
+// ============================================
+// One move tree per color, rooted at the standard starting position. Moves by
+// the repertoire's own color carry a spaced-repetition schedule.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DRILL_REPLY_DELAY = 400;
 
-    // Convert eval to win probability
-    let winProb = 50;
-    if (evalStr.startsWith('M')) {
-        const mateIn = parseInt(evalStr.substring(1));
-        winProb = mateIn > 0 ? 100 : 0;
-    } else {
-        const cp = parseFloat(evalStr) * 100;
-        // Using Lichess formula: winProb = 50 + 50 * (2 / (1 + exp(-0.00368208 * cp)) - 1)
-        winProb = 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * cp)) - 1);
+let repertoires = { w: createRepertoireNode(null, null), b: createRepertoireNode(null, null) };
+let repertoireColor = 'w';
+let drillSession = null;
+
+function createRepertoireNode(san, uci) {
+    return { san, uci, children: [] };
+}
+
+async function loadRepertoires() {
+    try {
+        for (const color of ['w', 'b']) {
+            const record = await dbGet('repertoire', color);
+            if (record) repertoires[color] = record.root;
+        }
+    } catch (e) {
+        console.warn('Repertoire storage unavailable:', e.message);
     }
+    renderRepertoire();
+}
 
-    barEl.style.width = `${winProb}%`;
+async function saveRepertoire(color) {
+    try {
+        await dbPut('repertoire', { color, root: repertoires[color] });
+    } catch (e) {
+        console.error('Failed to save repertoire:', e);
+    }
+}
 
-    // Color the score based on advantage
-    if (winProb > 55) {
-        scoreEl.style.color = 'var(--text-primary)';
-    } else if (winProb < 45) {
-        scoreEl.style.color = 'var(--text-muted)';
-    } else {
-        scoreEl.style.color = 'var(--text-secondary)';
+// UCI moves from the start to the current position, or null when the game
+// doesn't start from the standard position
+function getRepertoirePath() {
+    if (moveTree.fen !== DEFAULT_FEN) return null;
+    return getNodePath(currentNode).map(n => n.uci);
+}
+
+function findRepertoireNode(color, path) {
+    let node = repertoires[color];
+    for (const uci of path) {
+        node = node.children.find(c => c.uci === uci);
+        if (!node) return null;
     }
+    return node;
 }
 
-function updateAnalysisDisplay() {
-    document.getElementById('engineDepth').textContent = `Depth ${currentDepth}`;
+function isRepertoireMove(color, ply) {
+    return (ply % 2 === 0) === (color === 'w');
+}
 
-    const moves = Object.values(analysisLines).sort((a, b) => {
-        // Sort by eval (best first)
-        const evalA = parseEval(a.eval);
-        const evalB = parseEval(b.eval);
-        return evalB - evalA;
+// Add the moves (UCI) from the starting position to a repertoire
+function addRepertoireLine(color, path) {
+    const chess = new Chess();
+    let node = repertoires[color];
+    path.forEach((uci, ply) => {
+        const move = chess.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] });
+        let child = node.children.find(c => c.uci === uci);
+        if (!child) {
+            child = createRepertoireNode(move.san, uci);
+            if (isRepertoireMove(color, ply)) {
+                child.srs = { due: Date.now(), interval: 0, ease: 2.5, reps: 0, lapses: 0 };
+            }
+            node.children.push(child);
+        }
+        node = child;
     });
+    saveRepertoire(color);
+    renderRepertoire();
+}
 
-    if (moves.length === 0) {
-        document.getElementById('moveList').innerHTML = '<div class="empty-state">No legal moves</div>';
-        return;
-    }
+function addCurrentLineToRepertoire() {
+    const path = getRepertoirePath();
+    if (path && path.length > 0) addRepertoireLine(repertoireColor, path);
+}
 
-    currentAnalysis = moves;
+function removeCurrentMoveFromRepertoire() {
+    const path = getRepertoirePath();
+    if (!path || path.length === 0) return;
+    const parent = findRepertoireNode(repertoireColor, path.slice(0, -1));
+    if (!parent) return;
+
+    const index = parent.children.findIndex(c => c.uci === path[path.length - 1]);
+    if (index === -1) return;
+    parent.children.splice(index, 1);
+    saveRepertoire(repertoireColor);
+    renderRepertoire();
+}
 
-    // Update the eval bar with best move's eval
-    if (moves.length > 0) {
-        updateEvalDisplay(moves[0].eval);
+// Book moves list "+" button: add the current line plus that move
+function addBookMoveToRepertoire(uci) {
+    const path = getRepertoirePath();
+    if (path) addRepertoireLine(repertoireColor, [...path, uci]);
+}
+
+function setRepertoireColor(color) {
+    repertoireColor = color;
+    renderRepertoire();
+}
+
+// Show a repertoire line on the board (as a variation of the current game)
+function playRepertoirePath(path) {
+    if (moveTree.fen !== DEFAULT_FEN) newGame();
+
+    const chess = new Chess();
+    let node = moveTree;
+    for (const uci of path) {
+        const move = chess.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] });
+        node = appendMoveNode(node, move, chess.fen());
     }
+    goToNode(node);
+}
 
-    const autoExplain = document.getElementById('autoExplainCheckbox').checked;
-    let defaultExplanation;
-    if (!apiKey) {
-        defaultExplanation = 'Add API key for explanations';
-    } else if (autoExplain) {
-        defaultExplanation = 'Waiting for Stockfish...';
-    } else {
-        defaultExplanation = 'Click "Explain Moves" for analysis';
+function countRepertoire(node, color, ply = 0) {
+    const counts = { moves: 0, due: 0 };
+    const now = Date.now();
+    node.children.forEach(child => {
+        if (isRepertoireMove(color, ply)) {
+            counts.moves++;
+            if (child.srs.due <= now) counts.due++;
+        }
+        const sub = countRepertoire(child, color, ply + 1);
+        counts.moves += sub.moves;
+        counts.due += sub.due;
+    });
+    return counts;
+}
+
+function renderRepertoire() {
+    const color = repertoireColor;
+    const path = getRepertoirePath();
+    const counts = countRepertoire(repertoires[color], color);
+
+    document.querySelectorAll('.repertoire-tab').forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.color === color);
+    });
+    document.getElementById('repertoireStatus').textContent =
+        counts.moves > 0 ? `${counts.moves} moves · ${counts.due} due` : '';
+    document.getElementById('addRepertoireBtn').disabled = !path || path.length === 0;
+    document.getElementById('removeRepertoireBtn').disabled = !path || path.length === 0 || !findRepertoireNode(color, path);
+    document.getElementById('drillRepertoireBtn').disabled = counts.moves === 0;
+
+    const tree = document.getElementById('repertoireTree');
+    if (repertoires[color].children.length === 0) {
+        tree.innerHTML = '<div class="empty-state">Add lines from the board or the book moves (+) to build your repertoire</div>';
+        return;
     }
+    const root = repertoires[color];
+    tree.innerHTML = renderRepertoireLine(root, root.children[0], [], 0, path ? path.join(' ') : null);
+}
 
+// Same layout as the move history: the main line with alternatives nested
+// in a variation block after the move they replace
+function renderRepertoireLine(parent, node, parentPath, ply, currentPath) {
+    const color = repertoireColor;
+    const now = Date.now();
     let html = '';
-    moves.forEach((m, i) => {
-        const evalClass = getEvalClass(m.eval);
-        const isBest = i === 0;
+    let pairOpen = false;
+    let needsNumber = true;
+    let path = parentPath;
 
-        html += `<div class="move-item${isBest ? ' best' : ''}" data-move="${m.uci}">
-            <span class="move-rank">#${i + 1}</span>
-            <div>
-                <div class="move-notation">${m.move}</div>
-                <div class="move-eval ${evalClass}">${m.eval}</div>
-            </div>
-            <div class="move-explanation" id="explanation-${i}">
-                ${defaultExplanation}
-            </div>
-        </div>`;
-    });
+    const closePair = () => {
+        if (pairOpen) html += '</div>';
+        pairOpen = false;
+    };
 
-    document.getElementById('moveList').innerHTML = html;
+    for (let n = node; n; parent = n, n = n.children[0], ply++) {
+        const isWhite = ply % 2 === 0;
+        if (isWhite || needsNumber) {
+            closePair();
+            html += `<div class="move-pair">
+                <span class="move-number">${Math.floor(ply / 2) + 1}${isWhite ? '.' : '...'}</span>`;
+            pairOpen = true;
+        }
+        needsNumber = false;
+
+        const linePath = path;
+        path = [...path, n.uci];
+        const classes = [isWhite ? 'move-white' : 'move-black'];
+        if (!isRepertoireMove(color, ply)) classes.push('repertoire-reply');
+        if (n.srs && n.srs.due <= now) classes.push('repertoire-due');
+        if (path.join(' ') === currentPath) classes.push('current');
+        html += `<span class="${classes.join(' ')}" data-path="${path.join(' ')}">${n.san}</span>`;
+
+        if (parent.children[0] === n && parent.children.length > 1) {
+            closePair();
+            parent.children.slice(1).forEach(alt => {
+                html += `<div class="variation">${renderRepertoireLine(parent, alt, linePath, ply, currentPath)}</div>`;
+            });
+            needsNumber = true;
+        }
+    }
 
-    // Add hover and click handlers
-    document.querySelectorAll('.move-item').forEach(el => {
-        el.addEventListener('mouseenter', () => {
-            const uci = el.dataset.move;
-            previewMove(uci);
-        });
-        el.addEventListener('mouseleave', clearPreview);
-        el.addEventListener('click', () => {
-            const uci = el.dataset.move;
-            playAnalysisMove(uci);
-        });
-    });
+    closePair();
+    return html;
 }
 
-function playAnalysisMove(uci) {
-    // Clear any preview state first
-    clearPreview();
+function handleRepertoireClick(e) {
+    const tab = e.target.closest('.repertoire-tab');
+    if (tab) {
+        setRepertoireColor(tab.dataset.color);
+        return;
+    }
+    const moveEl = e.target.closest('[data-path]');
+    if (moveEl) playRepertoirePath(moveEl.dataset.path.split(' '));
+}
 
-    // Parse UCI move
-    const from = uci.substring(0, 2);
-    const to = uci.substring(2, 4);
-    const promotion = uci.length > 4 ? uci[4] : undefined;
+// SM-2 style scheduling: a clean answer stretches the interval, a mistake
+// brings the move straight back
+function reviewRepertoireMove(node, correct) {
+    const srs = node.srs;
+    if (correct) {
+        srs.reps++;
+        srs.interval = srs.reps === 1 ? 1 : srs.reps === 2 ? 3 : Math.round(srs.interval * srs.ease);
+        srs.due = Date.now() + srs.interval * DAY_MS;
+    } else {
+        srs.reps = 0;
+        srs.lapses++;
+        srs.interval = 0;
+        srs.ease = Math.max(1.3, srs.ease - 0.2);
+        srs.due = Date.now();
+    }
+}
 
-    // Make the move
-    const move = game.move({ from, to, promotion });
-    if (!move) return;
+// ============================================
+// Repertoire Drills
+// ============================================
+function isDrilling() {
+    return !!drillSession;
+}
 
-    // Update board and display
-    board.position(game.fen());
-    updateDisplay();
+function startDrill() {
+    const color = repertoireColor;
+    if (repertoires[color].children.length === 0) return;
+
+    stopPlay();
+    stopTraining();
+    newGame();
+
+    drillSession = {
+        color,
+        node: repertoires[color],
+        state: 'waiting',
+        mistakes: 0,
+        missed: false,
+        expected: null
+    };
+    document.querySelector('.app-container').classList.add('drilling');
+    if ((color === 'b') !== boardFlipped) flipBoard();
     analyzePosition();
-    updateUrlWithFen();
+    continueDrill();
 }
 
-function parseEval(evalStr) {
-    if (evalStr.startsWith('M')) {
-        const mateIn = parseInt(evalStr.substring(1));
-        return mateIn > 0 ? 10000 - mateIn : -10000 - mateIn;
+function continueDrill() {
+    const session = drillSession;
+    if (session.node.children.length === 0) {
+        session.state = 'complete';
+        saveRepertoire(session.color);
+        renderDrill();
+        return;
     }
-    return parseFloat(evalStr);
-}
 
-function getEvalClass(evalStr) {
-    if (evalStr.startsWith('M')) {
-        return parseInt(evalStr.substring(1)) > 0 ? 'positive' : 'negative';
+    if (game.turn() === session.color) {
+        session.state = 'waiting';
+        session.missed = false;
+        session.expected = null;
+        renderDrill();
+    } else {
+        session.state = 'replying';
+        renderDrill();
+        playDrillReply(session);
     }
-    const val = parseFloat(evalStr);
-    if (val > 0.3) return 'positive';
-    if (val < -0.3) return 'negative';
-    return 'neutral';
 }
 
-let previewPosition = null;
+// Pick one of the prepared opponent replies, weighted by how often masters
+// play it. Replies leading to moves that are due come first.
+async function playDrillReply(session) {
+    const ply = getNodePath(currentNode).length;
+    let replies = session.node.children;
+    const dueReplies = replies.filter(r => countRepertoire(r, session.color, ply + 1).due > 0);
+    if (dueReplies.length > 0) replies = dueReplies;
 
-function previewMove(uci) {
-    // Store current position if not already previewing
-    if (!previewPosition) {
-        previewPosition = game.fen();
+    const counts = {};
+    try {
+        const data = await fetchMastersData(game.fen());
+        (data.moves || []).forEach(m => {
+            counts[m.uci] = m.white + m.draws + m.black;
+        });
+    } catch (e) {
+        // Fall back to an even choice
     }
 
-    // Create a temp game to make the move
-    const tempGame = new Chess(previewPosition);
-    const from = uci.substring(0, 2);
-    const to = uci.substring(2, 4);
-    const promotion = uci.length > 4 ? uci[4] : undefined;
+    const weights = replies.map(r => (counts[r.uci] || 0) + 1);
+    let pick = Math.random() * weights.reduce((sum, w) => sum + w, 0);
+    let reply = replies[replies.length - 1];
+    for (let i = 0; i < replies.length; i++) {
+        pick -= weights[i];
+        if (pick < 0) {
+            reply = replies[i];
+            break;
+        }
+    }
 
-    const move = tempGame.move({ from, to, promotion });
-    if (move) {
-        board.position(tempGame.fen(), false);
+    setTimeout(() => {
+        if (drillSession !== session || session.state !== 'replying') return;
+        const uci = reply.uci;
+        playMove({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] });
+    }, DRILL_REPLY_DELAY);
+}
+
+// Called from playMove before the move is made. Returns false to reject a
+// move that isn't in the repertoire.
+function checkDrillMove(moveInput) {
+    const session = drillSession;
+    if (session.state === 'replying') return true;
+    if (session.state !== 'waiting') return false;
+
+    const move = new Chess(game.fen()).move(moveInput);
+    if (move === null) return false;
+    const uci = move.from + move.to + (move.promotion || '');
+    if (session.node.children.some(c => c.uci === uci)) return true;
+
+    session.missed = true;
+    session.expected = session.node.children.map(c => c.san);
+    renderDrill();
+    return false;
+}
+
+// Called from playMove after the move is made
+function advanceDrill(move) {
+    const session = drillSession;
+    const uci = move.from + move.to + (move.promotion || '');
+    const node = session.node.children.find(c => c.uci === uci);
+
+    if (session.state === 'waiting') {
+        reviewRepertoireMove(node, !session.missed);
+        if (session.missed) session.mistakes++;
     }
+    session.node = node;
+    continueDrill();
+}
 
-    // Highlight squares
-    document.querySelectorAll('.square-55d63').forEach(sq => {
-        sq.style.boxShadow = '';
-    });
+function renderDrill() {
+    const session = drillSession;
+    const el = document.getElementById('repertoireDrill');
+    if (!session) {
+        el.innerHTML = '';
+        return;
+    }
 
-    const fromSq = document.querySelector(`.square-${from}`);
-    const toSq = document.querySelector(`.square-${to}`);
+    let message;
+    if (session.state === 'complete') {
+        message = session.mistakes === 0
+            ? 'Line complete — no mistakes'
+            : `Line complete — ${session.mistakes} mistake${session.mistakes === 1 ? '' : 's'}`;
+    } else if (session.state === 'replying') {
+        message = 'Opponent is replying...';
+    } else if (session.expected) {
+        message = `Not in your repertoire — play ${session.expected.join(' or ')}`;
+    } else {
+        message = 'Your move';
+    }
+
+    el.innerHTML = `
+        <div class="drill-message${session.expected && session.state === 'waiting' ? ' drill-miss' : ''}">${message}</div>
+        <div class="repertoire-actions">
+            ${session.state === 'complete' ? '<button class="btn btn-primary" data-action="next">Next Line</button>' : ''}
+            <button class="btn" data-action="stop">Stop Drill</button>
+        </div>
+    `;
+}
 
-    if (fromSq) fromSq.style.boxShadow = 'inset 0 0 0 4px rgba(212, 160, 60, 0.6)';
-    if (toSq) toSq.style.boxShadow = 'inset 0 0 0 4px rgba(212, 160, 60, 0.6)';
+function handleDrillClick(e) {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+    if (button.dataset.action === 'next') startDrill();
+    else stopDrill();
 }
 
-function clearPreview() {
-    if (previewPosition) {
-        board.position(previewPosition, false);
-        previewPosition = null;
-    }
+function stopDrill() {
+    const session = drillSession;
+    if (!session) return;
+    drillSession = null;
+    saveRepertoire(session.color);
 
-    // Clear highlights
-    document.querySelectorAll('.square-55d63').forEach(sq => {
-        sq.style.boxShadow = '';
-    });
+    document.querySelector('.app-container').classList.remove('drilling');
+    renderDrill();
+    renderRepertoire();
+    analyzePosition();
 }
 
 // ============================================
-// Opening Book
+// LLM Providers
 // ============================================
-async function fetchOpeningData() {
-    const fen = game.fen();
-
+// Explanations, training feedback and caching all go through requestLlm, so
+// they work the same whichever backend answers:
+//   anthropic - Messages API called from the browser with the user's key
+//   proxy     - a server that forwards Anthropic Messages API requests and
+//               adds the key, so it never reaches the browser
+//   openai    - any OpenAI-compatible /chat/completions endpoint, e.g. a
+//               local Ollama or llama.cpp server
+const DEFAULT_LLM_SETTINGS = {
+    provider: 'anthropic',
+    proxyUrl: '',
+    baseUrl: 'http://localhost:11434/v1',
+    model: '',
+    apiKey: ''
+};
+
+let llmSettings = loadLlmSettings();
+
+function loadLlmSettings() {
+    const config = (typeof CONFIG !== 'undefined' && CONFIG.llm) || {};
     try {
-        // Lichess masters database
-        const response = await fetch(`https://explorer.lichess.ovh/masters?fen=${encodeURIComponent(fen)}`);
-        const data = await response.json();
-
-        updateOpeningDisplay(data);
+        const saved = JSON.parse(localStorage.getItem('llm_settings') || '{}');
+        return { ...DEFAULT_LLM_SETTINGS, ...config, ...saved };
     } catch (e) {
-        console.error('Opening fetch error:', e);
-        document.getElementById('openingContent').innerHTML = `
-            <div class="opening-name">Unknown Position</div>
-            <div class="opening-eco">Not in opening book</div>
-        `;
+        return { ...DEFAULT_LLM_SETTINGS, ...config };
     }
 }
 
-function updateOpeningDisplay(data) {
-    const content = document.getElementById('openingContent');
+function getClaudeModel() {
+    return (typeof CONFIG !== 'undefined' && CONFIG.claudeModel) || 'claude-sonnet-4-5-20250929';
+}
 
-    if (!data.opening && data.moves.length === 0) {
-        content.innerHTML = `
-            <div class="opening-name">Out of Book</div>
-            <div class="opening-eco">Position not in masters database</div>
-        `;
-        return;
+function anthropicBody(messages, maxTokens, stream) {
+    return {
+        model: getClaudeModel(),
+        max_tokens: maxTokens,
+        stream,
+        messages
+    };
+}
+
+function anthropicDelta(event) {
+    return event.type === 'content_block_delta' && event.delta.type === 'text_delta' ? event.delta.text : '';
+}
+
+const LLM_PROVIDERS = {
+    anthropic: {
+        label: 'Anthropic',
+        model: getClaudeModel,
+        // Name of the setting still needed, or null
+        missingField: () => apiKey ? null : 'API key',
+        request: (messages, maxTokens, stream) => ({
+            url: 'https://api.anthropic.com/v1/messages',
+            headers: {
+                'x-api-key': apiKey,
+                'anthropic-version': '2023-06-01',
+                'anthropic-dangerous-direct-browser-access': 'true'
+            },
+            body: anthropicBody(messages, maxTokens, stream)
+        }),
+        text: (data) => data.content[0].text,
+        delta: anthropicDelta
+    },
+    proxy: {
+        label: 'Proxy',
+        model: getClaudeModel,
+        missingField: () => llmSettings.proxyUrl ? null : 'proxy URL',
+        request: (messages, maxTokens, stream) => ({
+            url: llmSettings.proxyUrl,
+            headers: {},
+            body: anthropicBody(messages, maxTokens, stream)
+        }),
+        text: (data) => data.content[0].text,
+        delta: anthropicDelta
+    },
+    openai: {
+        label: 'OpenAI-compatible',
+        model: () => llmSettings.model,
+        missingField: () => !llmSettings.baseUrl ? 'server URL' : !llmSettings.model ? 'model' : null,
+        request: (messages, maxTokens, stream) => ({
+            url: `${llmSettings.baseUrl.replace(/\/$/, '')}/chat/completions`,
+            headers: llmSettings.apiKey ? { 'Authorization': `Bearer ${llmSettings.apiKey}` } : {},
+            body: {
+                model: llmSettings.model,
+                max_tokens: maxTokens,
+                stream,
+                messages
+            }
+        }),
+        text: (data) => data.choices[0].message.content,
+        delta: (event) => event.choices?.[0]?.delta?.content || ''
     }
+};
 
-    const opening = data.opening || { name: 'Starting Position', eco: '' };
-    const total = data.white + data.draws + data.black || 1;
-    const whitePercent = ((data.white / total) * 100).toFixed(1);
-    const drawPercent = ((data.draws / total) * 100).toFixed(1);
-    const blackPercent = ((data.black / total) * 100).toFixed(1);
+function getLlmProvider() {
+    return LLM_PROVIDERS[llmSettings.provider] || LLM_PROVIDERS.anthropic;
+}
 
-    // Build book moves HTML
-    let bookMovesHtml = '';
-    if (data.moves && data.moves.length > 0) {
-        const topMoves = data.moves.slice(0, 5);
-        bookMovesHtml = `
-            <div class="book-moves-title">Popular Continuations</div>
-            <div class="book-moves">
-                ${topMoves.map(m => {
-                    const mTotal = m.white + m.draws + m.black || 1;
-                    const mWhite = (m.white / mTotal) * 100;
-                    const mDraw = (m.draws / mTotal) * 100;
-                    const mBlack = (m.black / mTotal) * 100;
-                    const openingName = m.opening ? m.opening.name : '';
-                    return `
-                        <div class="book-move">
-                            <span class="book-move-san">${m.san}</span>
-                            <span class="book-move-opening" title="${openingName}">${openingName || '—'}</span>
-                            <div class="book-move-bar" title="White: ${mWhite.toFixed(0)}% Draw: ${mDraw.toFixed(0)}% Black: ${mBlack.toFixed(0)}%">
-                                <div class="bar-white" style="width: ${mWhite}%"></div>
-                                <div class="bar-draw" style="width: ${mDraw}%"></div>
-                                <div class="bar-black" style="width: ${mBlack}%"></div>
-                            </div>
-                        </div>
-                    `;
-                }).join('')}
-            </div>
-        `;
+// Model name used for cache keys
+function getLlmModel() {
+    return getLlmProvider().model();
+}
+
+function isLlmConfigured() {
+    return !getLlmProvider().missingField();
+}
+
+// Send a prompt (or a conversation: alternating { role, content } messages,
+// starting with the user) and resolve with the reply text. With onText the
+// reply is streamed and onText gets the text so far after every chunk.
+async function requestLlm(prompt, maxTokens, { signal, onText } = {}) {
+    const provider = getLlmProvider();
+    const messages = typeof prompt === 'string' ? [{ role: 'user', content: prompt }] : prompt;
+    const { url, headers, body } = provider.request(messages, maxTokens, !!onText);
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+        signal
+    });
+
+    if (!response.ok) {
+        throw new Error(`API error: ${response.status}`);
     }
 
-    // Build top games HTML
-    let topGamesHtml = '';
-    if (data.topGames && data.topGames.length > 0) {
-        const games = data.topGames.slice(0, 3);
-        topGamesHtml = `
-            <div class="top-games-title">Notable Games</div>
-            ${games.map(g => {
-                const result = g.winner === 'white' ? '1-0' : g.winner === 'black' ? '0-1' : '½-½';
-                return `
-                    <div class="top-game">
-                        <span class="top-game-players">${g.white.name} vs ${g.black.name}</span>
-                        <span class="top-game-result">${result}</span>
-                        <span class="top-game-year">${g.year}</span>
-                    </div>
-                `;
-            }).join('')}
-        `;
+    if (!onText) {
+        const data = await response.json();
+        return provider.text(data);
     }
 
-    content.innerHTML = `
-        <div class="opening-name">${opening.name || 'Starting Position'}</div>
-        <div class="opening-eco">${opening.eco || ''}</div>
-        <div class="opening-stats">
-            <div class="stat">
-                <span class="stat-label">Games</span>
-                <span class="stat-value">${total.toLocaleString()}</span>
-            </div>
-            <div class="stat">
-                <span class="stat-label">White wins</span>
-                <span class="stat-value white">${whitePercent}%</span>
-            </div>
-            <div class="stat">
-                <span class="stat-label">Draws</span>
-                <span class="stat-value draw">${drawPercent}%</span>
-            </div>
-            <div class="stat">
-                <span class="stat-label">Black wins</span>
-                <span class="stat-value black">${blackPercent}%</span>
-            </div>
-        </div>
-        ${bookMovesHtml}
-        ${topGamesHtml}
-    `;
+    // Server-sent events, one JSON payload per data line
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    const parseLine = (line) => {
+        if (!line.startsWith('data:')) return;
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') return;
+        const event = JSON.parse(payload);
+        if (event.error) {
+            throw new Error(`API error: ${event.error.message || event.error}`);
+        }
+        const delta = provider.delta(event);
+        if (delta) {
+            text += delta;
+            onText(text);
+        }
+    };
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(parseLine);
+    }
+    parseLine(buffer);
+    return text;
 }
 
 // ============================================
-// Claude Explanations
+// AI Explanations
 // ============================================
-async function fetchExplanations() {
-    if (!apiKey) {
-        document.getElementById('apiKeyModal').classList.add('active');
+// Explanations for the current position: { fen, controller, moves }, where
+// moves maps SAN to { status: 'loading' | 'done' | 'error', explanation, message }.
+// The controller is set while a request is in flight.
+let explanationRequest = null;
+
+// Fields of a structured explanation; idea is required, the rest may be empty
+const EXPLANATION_FIELDS = { idea: 'Idea', threats: 'Threats', plan: 'Plan', risk: 'Risk' };
+
+// Abort any in-flight request; called whenever the position changes
+function cancelExplanations() {
+    if (!explanationRequest) return;
+    if (explanationRequest.controller) explanationRequest.controller.abort();
+    explanationRequest = null;
+
+    const btn = document.getElementById('explainBtn');
+    btn.disabled = false;
+    btn.textContent = 'Explain Moves';
+}
+
+function renderExplanationFields(value) {
+    const explanation = normalizeExplanation(value);
+    const rows = Object.entries(EXPLANATION_FIELDS)
+        .filter(([field]) => field !== 'idea' && explanation[field])
+        .map(([field, label]) => `
+            <div class="explanation-field"><span class="explanation-label">${label}</span> ${escapeHtml(explanation[field])}</div>
+        `).join('');
+    return `<div class="explanation-idea">${escapeHtml(explanation.idea)}</div>${rows}`;
+}
+
+// One-line form for PGN comments
+function formatExplanationText(value) {
+    const explanation = normalizeExplanation(value);
+    return Object.entries(EXPLANATION_FIELDS)
+        .filter(([field]) => explanation[field])
+        .map(([field, label]) => field === 'idea' ? explanation.idea : `${label}: ${explanation[field]}`)
+        .join(' ');
+}
+
+function renderExplanation(san) {
+    const entry = explanationRequest?.moves[san];
+    const el = document.getElementById(`explanation-${currentAnalysis.findIndex(m => m.move === san)}`);
+    if (!entry || !el) return;
+
+    el.classList.toggle('loading', !entry.explanation);
+    if (entry.status === 'error') {
+        el.innerHTML = `${escapeHtml(entry.message)} <button class="btn explanation-retry">Retry</button>`;
+        el.querySelector('.explanation-retry').addEventListener('click', (e) => {
+            e.stopPropagation();
+            fetchExplanations([san]);
+        });
+    } else if (entry.explanation) {
+        el.innerHTML = renderExplanationFields(entry.explanation);
+    } else {
+        el.textContent = 'Generating explanation...';
+    }
+}
+
+// Explain the top candidates, or only the given moves (SAN) when retrying
+async function fetchExplanations(onlyMoves) {
+    if (!isLlmConfigured()) {
+        openLlmSettings();
         return;
     }
     if (currentAnalysis.length === 0) return;
 
+    const fen = game.fen();
+    if (explanationRequest?.fen !== fen) {
+        cancelExplanations();
+        explanationRequest = { fen, controller: null, moves: {} };
+    } else if (explanationRequest.controller) {
+        // Already explaining this position
+        return;
+    }
+    const request = explanationRequest;
+    const controller = new AbortController();
+    request.controller = controller;
+
     // Show loading state
     const btn = document.getElementById('explainBtn');
     btn.disabled = true;
     btn.textContent = 'Explaining...';
 
-    const fen = game.fen();
     const turn = game.turn() === 'w' ? 'White' : 'Black';
-    const movesToExplain = currentAnalysis.slice(0, 4);
+    const movesToExplain = currentAnalysis.slice(0, 4)
+        .filter(m => !onlyMoves || onlyMoves.includes(m.move));
+    const annotation = currentNode.annotation;
+    const setExplanation = (san, status, explanation, message) => {
+        request.moves[san] = { status, explanation, message };
+        if (status === 'done') {
+            annotation.explanations = { ...annotation.explanations, [san]: explanation };
+        }
+        renderExplanation(san);
+    };
 
     // Check cache for each move
-    const cachedExplanations = {};
     const uncachedMoves = [];
-
     for (const m of movesToExplain) {
-        const el = document.getElementById(`explanation-${movesToExplain.indexOf(m)}`);
-        if (el) {
-            el.classList.add('loading');
-            el.textContent = 'Checking cache...';
-        }
-
         const cached = await getExplanationFromCache(fen, m.move);
+        if (controller.signal.aborted) return;
         if (cached) {
-            cachedExplanations[m.move] = cached;
-            if (el) {
-                el.classList.remove('loading');
-                el.textContent = cached;
-            }
+            setExplanation(m.move, 'done', cached);
         } else {
+            setExplanation(m.move, 'loading');
             uncachedMoves.push(m);
-            if (el) {
-                el.textContent = 'Generating explanation...';
-            }
         }
     }
 
-    // If all moves were cached, we're done
-    if (uncachedMoves.length === 0) {
-        btn.disabled = false;
-        btn.textContent = 'Explain Moves';
-        return;
-    }
-
-    // Build prompt for uncached moves only
-    const movesStr = uncachedMoves.map(m => `${m.move} (eval: ${m.eval})`).join(', ');
+    if (uncachedMoves.length > 0) {
+        // Build prompt for uncached moves only
+        const movesStr = uncachedMoves.map(m => `${m.move} (eval: ${m.eval})`).join(', ');
 
-    const prompt = `You are a chess coach. Analyze this position and explain each candidate move concisely.
+        const prompt = `You are a chess coach. Analyze this position and explain each candidate move concisely.
 
 Position (FEN): ${fen}
 ${turn} to move.
 
 Top engine moves: ${movesStr}
 
-For each move, give a 1-2 sentence explanation of the strategic or tactical idea. Focus on:
-- What the move accomplishes
-- Any threats created or prevented
-- Positional considerations
+Answer in JSON Lines: one JSON object per move, one per line, and nothing else (no code fences, no commentary). Each object has these string fields:
+- "move": the move in SAN exactly as listed above
+- "idea": 1-2 sentences on what the move accomplishes
+- "threats": threats it creates or prevents ("" if none)
+- "plan": the follow-up plan
+- "risk": what could go wrong ("" if nothing)
 
-Format your response as:
-MOVE: explanation
-MOVE: explanation
-...
+Example:
+{"move": "Nf3", "idea": "Develops and controls e5.", "threats": "", "plan": "Castle and push d4.", "risk": ""}
 
 Be concise and insightful, like a strong club player explaining to an improving student.`;
 
-    try {
-        const model = (typeof CONFIG !== 'undefined' && CONFIG.claudeModel) || 'claude-sonnet-4-5-20250929';
-        const response = await fetch('https://api.anthropic.com/v1/messages', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'x-api-key': apiKey,
-                'anthropic-version': '2023-06-01',
-                'anthropic-dangerous-direct-browser-access': 'true'
-            },
-            body: JSON.stringify({
-                model: model,
-                max_tokens: 1024,
-                messages: [{ role: 'user', content: prompt }]
-            })
-        });
+        try {
+            // Show each explanation as soon as its line is complete
+            const showPartial = (partial) => {
+                const { explanations } = parseExplanations(partial.slice(0, partial.lastIndexOf('\n')), fen, uncachedMoves);
+                Object.entries(explanations).forEach(([san, explanation]) => setExplanation(san, 'loading', explanation));
+            };
+
+            const messages = [{ role: 'user', content: prompt }];
+            let text = await requestLlm(messages, 1024, { signal: controller.signal, onText: showPartial });
+            const { explanations, problems } = parseExplanations(text, fen, uncachedMoves);
+
+            // One repair pass for malformed lines or moves left out
+            const missing = uncachedMoves.filter(m => !explanations[m.move]);
+            if (missing.length > 0) {
+                const repair = [
+                    ...problems,
+                    `No valid line for: ${missing.map(m => m.move).join(', ')}.`
+                ].join('\n');
+                messages.push(
+                    { role: 'assistant', content: text },
+                    { role: 'user', content: `Your answer couldn't be used:\n${repair}\n\nReply with only the JSON Lines for ${missing.map(m => m.move).join(', ')}, in the format asked for.` }
+                );
+                console.warn('Repairing explanation output:', repair);
+                text = await requestLlm(messages, 1024, { signal: controller.signal, onText: showPartial });
+                Object.assign(explanations, parseExplanations(text, fen, missing).explanations);
+            }
 
-        if (!response.ok) {
-            throw new Error(`API error: ${response.status}`);
+            for (const m of uncachedMoves) {
+                const explanation = explanations[m.move];
+                if (explanation) {
+                    setExplanation(m.move, 'done', explanation);
+                    // Save to cache (async, don't wait)
+                    saveExplanationToCache(fen, m.move, explanation, m);
+                } else {
+                    setExplanation(m.move, 'error', null, 'No valid explanation returned');
+                }
+            }
+        } catch (e) {
+            // Aborted because the position changed; the new position has its own request
+            if (controller.signal.aborted) return;
+            console.error('LLM API error:', e);
+            uncachedMoves.forEach(m => setExplanation(m.move, 'error', null, 'Error fetching explanation'));
         }
+    }
 
-        const data = await response.json();
-        const text = data.content[0].text;
+    request.controller = null;
+    btn.disabled = false;
+    btn.textContent = 'Explain Moves';
+}
+
+// Figurine notation used by some models in place of piece letters
+const FIGURINES = { '♔': 'K', '♕': 'Q', '♖': 'R', '♗': 'B', '♘': 'N', '♚': 'K', '♛': 'Q', '♜': 'R', '♝': 'B', '♞': 'N' };
+
+// Match a move as written by the model ("1...Nf6", "♘f6", "g8f6", "**Nf6!**")
+// to one of the candidate lines, using chess.js on the explained position
+function resolveExplanationMove(written, fen, candidates) {
+    const cleaned = written
+        .replace(/[♔♕♖♗♘♚♛♜♝♞]/g, c => FIGURINES[c])
+        .replace(/[*_`]/g, '')
+        .replace(/^\d+\s*\.+\s*/, '')
+        .replace(/[!?]+$/, '')
+        .trim();
+    const move = new Chess(fen).move(cleaned, { sloppy: true });
+    if (!move) return null;
+    const uci = move.from + move.to + (move.promotion || '');
+    return candidates.find(m => m.uci === uci) || null;
+}
 
-        // Parse explanations
-        const newExplanations = parseExplanations(text);
+// Parse JSON Lines (or a JSON array) of explanations. Returns the valid ones
+// by candidate SAN and a description of every line that couldn't be used.
+function parseExplanations(text, fen, candidates) {
+    const explanations = {};
+    const problems = [];
 
-        // Save new explanations to cache and update display
-        for (const m of uncachedMoves) {
-            const explanation = newExplanations[m.move];
-            if (explanation) {
-                // Save to cache (async, don't wait)
-                saveExplanationToCache(fen, m.move, explanation);
+    let items;
+    const stripped = text.replace(/```(?:json)?/g, '').trim();
+    try {
+        const parsed = JSON.parse(stripped);
+        items = Array.isArray(parsed) ? parsed : [parsed];
+    } catch (e) {
+        items = [];
+        stripped.split('\n').forEach(line => {
+            line = line.trim().replace(/,$/, '');
+            if (!line || line === '[' || line === ']') return;
+            try {
+                items.push(JSON.parse(line));
+            } catch (err) {
+                problems.push(`Not valid JSON: ${line.slice(0, 80)}`);
             }
-        }
+        });
+    }
 
-        // Merge cached and new explanations
-        const allExplanations = { ...cachedExplanations, ...newExplanations };
+    for (const item of items) {
+        if (!item || typeof item.move !== 'string' || typeof item.idea !== 'string' || !item.idea.trim()) {
+            problems.push(`Missing "move" or "idea": ${JSON.stringify(item).slice(0, 80)}`);
+            continue;
+        }
+        const candidate = resolveExplanationMove(item.move, fen, candidates);
+        if (!candidate) {
+            problems.push(`"${item.move}" is not one of the listed moves in this position`);
+            continue;
+        }
 
-        // Update display
-        movesToExplain.forEach((m, i) => {
-            const el = document.getElementById(`explanation-${i}`);
-            if (el) {
-                el.classList.remove('loading');
-                el.textContent = allExplanations[m.move] || 'No explanation available';
-            }
+        const explanation = {};
+        Object.keys(EXPLANATION_FIELDS).forEach(field => {
+            explanation[field] = typeof item[field] === 'string' ? item[field].trim() : '';
         });
+        explanations[candidate.move] = explanation;
+    }
+
+    return { explanations, problems };
+}
+
+// ============================================
+// Coach Chat
+// ============================================
+// A conversation about the game with the AI provider. Every question carries
+// the current position, moves so far, engine lines and opening name; the
+// conversation lives on the move tree's root and is saved in IndexedDB under
+// the tree's game key: made from the headers and moves of an imported PGN or
+// from the followed URL, otherwise random and kept in the page URL.
+const COACH_MAX_TOKENS = 1024;
+const COACH_INSTRUCTIONS = `You are a chess coach helping an improving player study a game. Answer their questions about the position concisely, like a strong club player. Write moves in standard algebraic notation (e.g. Nf3, exd5, O-O) so they can be shown on the board. Each question comes with the current position and Stockfish's analysis of it.`;
+// Move numbers are kept with the move so "12...Nc6" links as one token
+const COACH_MOVE_PATTERN = /(\d+\.(?:\.\.)?\s*)?(O-O-O|O-O|[KQRBN][a-h]?[1-8]?x?[a-h][1-8]|[a-h]x[a-h][1-8](?:=[QRBN])?|[a-h][1-8](?:=[QRBN])?)[+#]?(?![\w-])/g;
+
+let coachRequest = null;
+// Lines of linked moves in the rendered replies, indexed by data-line
+let coachLines = [];
+
+function getCoachChat() {
+    if (!moveTree.chat) moveTree.chat = [];
+    return moveTree.chat;
+}
+
+function createGameKey() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2)}`;
+}
+
+// Short key for the text identifying a game (32-bit FNV-1a)
+function hashGameKey(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
 
+// The same PGN always gets the same key, so importing it again brings its
+// chat back
+function getPgnGameKey() {
+    const headers = ['Event', 'Site', 'Date', 'Round', 'White', 'Black'].map(tag => gameHeaders[tag] || '');
+    const moves = getMainline().slice(1).map(n => n.san);
+    return `pgn-${hashGameKey([...headers, moveTree.fen, moves.join(' ')].join('|'))}`;
+}
+
+async function loadCoachChat() {
+    const tree = moveTree;
+    try {
+        const record = await dbGet('coachChats', tree.gameKey);
+        if (record && tree === moveTree) tree.chat = record.messages;
     } catch (e) {
-        console.error('Claude API error:', e);
-        movesToExplain.forEach((m, i) => {
-            const el = document.getElementById(`explanation-${i}`);
-            if (el && !cachedExplanations[m.move]) {
-                el.classList.remove('loading');
-                el.textContent = 'Error fetching explanation';
+        console.warn('Coach chat storage unavailable:', e.message);
+    }
+    renderCoach();
+}
+
+async function saveCoachChat() {
+    try {
+        await dbPut('coachChats', { gameKey: moveTree.gameKey, messages: getCoachChat(), updatedAt: Date.now() });
+    } catch (e) {
+        console.error('Failed to save coach chat:', e);
+    }
+}
+
+// "12. Nf3 Nc6 13. d4" for consecutive moves given as { san, fenBefore }
+function formatSanLine(moves) {
+    return moves.map((m, i) => {
+        const [, turn, , , , fullMove] = m.fenBefore.split(' ');
+        if (turn === 'w') return `${fullMove}. ${m.san}`;
+        return i === 0 ? `${fullMove}... ${m.san}` : m.san;
+    }).join(' ');
+}
+
+// Closest opening name the explorer has reported along the current line
+function getCurrentOpening() {
+    for (let n = currentNode; n; n = n.parent) {
+        if (n.opening) return n.opening;
+    }
+    return null;
+}
+
+function buildCoachContext() {
+    const lines = [
+        `Position (FEN): ${game.fen()}`,
+        `${game.turn() === 'w' ? 'White' : 'Black'} to move.`
+    ];
+
+    const path = getNodePath(currentNode);
+    if (path.length > 0) {
+        lines.push(`Moves so far: ${formatSanLine(path.map(n => ({ san: n.san, fenBefore: n.parent.fen })))}`);
+    }
+
+    const opening = getCurrentOpening();
+    if (opening) lines.push(`Opening: ${[opening.eco, opening.name].filter(Boolean).join(' ')}`);
+
+    if (currentAnalysis.length > 0) {
+        lines.push(`Stockfish lines (depth ${currentAnalysis[0].depth}, evals from White's perspective):`);
+        currentAnalysis.forEach(m => {
+            const pv = getPvMoves(m).map(p => ({ san: p.move.san, fenBefore: p.fenBefore }));
+            lines.push(`${m.eval}: ${formatSanLine(pv)}`);
+        });
+    }
+    return lines.join('\n');
+}
+
+async function sendCoachMessage() {
+    const input = document.getElementById('coachInput');
+    const question = input.value.trim();
+    if (!question || coachRequest) return;
+    if (!isLlmConfigured()) {
+        openLlmSettings();
+        return;
+    }
+
+    const chat = getCoachChat();
+    const fen = game.fen();
+    const message = { role: 'user', content: question, context: buildCoachContext(), fen };
+    const reply = { role: 'assistant', content: '', fen };
+    chat.push(message, reply);
+    input.value = '';
+    document.getElementById('coachError').textContent = '';
+
+    const messages = chat.slice(0, -1).map((m, i) => {
+        if (m.role !== 'user') return { role: m.role, content: m.content };
+        const intro = i === 0 ? `${COACH_INSTRUCTIONS}\n\n` : '';
+        return { role: 'user', content: `${intro}${m.context}\n\nQuestion: ${m.content}` };
+    });
+
+    coachRequest = new AbortController();
+    renderCoach();
+    try {
+        reply.content = await requestLlm(messages, COACH_MAX_TOKENS, {
+            signal: coachRequest.signal,
+            onText: (text) => {
+                reply.content = text;
+                if (chat === moveTree.chat) renderCoach();
             }
         });
+        saveCoachChat();
+    } catch (e) {
+        // Take the question back so it can be sent again
+        chat.splice(chat.indexOf(message), 2);
+        if (!coachRequest.signal.aborted) {
+            console.error('Coach error:', e);
+            input.value = question;
+            document.getElementById('coachError').textContent = `Couldn't get an answer: ${e.message}`;
+        }
     } finally {
-        // Reset button state
-        btn.disabled = false;
-        btn.textContent = 'Explain Moves';
+        coachRequest = null;
+        renderCoach();
     }
 }
 
-function parseExplanations(text) {
-    const explanations = {};
-    const lines = text.split('\n');
+function stopCoach() {
+    if (coachRequest) coachRequest.abort();
+}
+
+function clearCoachChat() {
+    stopCoach();
+    moveTree.chat = [];
+    saveCoachChat();
+    renderCoach();
+}
 
-    for (const line of lines) {
-        // Match patterns like "e4: explanation" or "1. e4: explanation" or "**e4**: explanation" or "O-O: explanation"
-        const match = line.match(/^\*?\*?(\d+\.\s*)?(O-O-O|O-O|[KQRBN]?[a-h]?[1-8]?x?[a-h][1-8](?:=[QRBN])?[+#]?)\*?\*?[:\s]+(.+)/);
-        if (match) {
-            const move = match[2];
-            const explanation = match[3].trim();
-            explanations[move] = explanation;
+// Escape a reply and link the moves in it. Moves that directly follow each
+// other form a line; any other move starts a new line from the position the
+// question was asked in. Text that isn't a legal move stays plain.
+function linkCoachMoves(text, fen) {
+    let html = '';
+    let pos = 0;
+    let line = null;
+
+    for (const match of text.matchAll(COACH_MOVE_PATTERN)) {
+        const between = text.slice(pos, match.index);
+        html += escapeHtml(between);
+        pos = match.index + match[0].length;
+
+        if (!line || !/^[\s.,]*$/.test(between) || !playCoachMove(line, match[2])) {
+            line = { fen, chess: new Chess(fen), pv: [], pvMoves: [] };
+            if (!playCoachMove(line, match[2])) {
+                html += escapeHtml(match[0]);
+                line = null;
+                continue;
+            }
+            coachLines.push(line);
         }
+        html += `<span class="coach-move" data-line="${coachLines.indexOf(line)}" data-ply="${line.pv.length - 1}">${escapeHtml(match[0])}</span>`;
+    }
+    return html + escapeHtml(text.slice(pos));
+}
+
+function playCoachMove(line, san) {
+    const fenBefore = line.chess.fen();
+    const move = line.chess.move(san);
+    if (!move) return false;
+
+    const uci = move.from + move.to + (move.promotion || '');
+    line.pv.push(uci);
+    line.pvMoves.push({ uci, move, fenBefore, fen: line.chess.fen() });
+    return true;
+}
+
+function renderCoach() {
+    const container = document.getElementById('coachMessages');
+    const chat = getCoachChat();
+    document.getElementById('coachSendBtn').disabled = !!coachRequest;
+    document.getElementById('coachStopBtn').style.display = coachRequest ? '' : 'none';
+
+    coachLines = [];
+    if (chat.length === 0) {
+        container.innerHTML = '<div class="empty-state">Ask about the position, a plan or a move you considered</div>';
+        return;
     }
 
-    return explanations;
+    container.innerHTML = chat.map(m => {
+        if (m.role === 'user') {
+            return `<div class="coach-message user">${escapeHtml(m.content)}</div>`;
+        }
+        const body = m.content ? linkCoachMoves(m.content, m.fen) : '<span class="coach-thinking">Thinking...</span>';
+        return `<div class="coach-message assistant">${body}</div>`;
+    }).join('');
+    container.scrollTop = container.scrollHeight;
+}
+
+function getCoachMoveTarget(e) {
+    const el = e.target.closest('.coach-move');
+    if (!el) return null;
+    return { line: coachLines[parseInt(el.dataset.line)], ply: parseInt(el.dataset.ply) };
+}
+
+// Hover a move to preview its line, click to play it when it starts here
+function handleCoachHover(e) {
+    const target = getCoachMoveTarget(e);
+    if (target) previewPvMove(target.line, target.ply);
+}
+
+function handleCoachClick(e) {
+    const target = getCoachMoveTarget(e);
+    if (!target) return;
+    if (target.line.fen === game.fen()) {
+        playPvLine(target.line, target.ply);
+    }
 }
 
 // ============================================
-// API Key management
+// AI Settings
 // ============================================
-function saveApiKey() {
-    const input = document.getElementById('apiKeyInput');
-    apiKey = input.value.trim();
+function openLlmSettings() {
+    document.getElementById('llmProvider').value = llmSettings.provider;
+    document.getElementById('apiKeyInput').value = apiKey;
+    document.getElementById('llmProxyUrl').value = llmSettings.proxyUrl;
+    document.getElementById('llmBaseUrl').value = llmSettings.baseUrl;
+    document.getElementById('llmModel').value = llmSettings.model;
+    document.getElementById('llmApiKey').value = llmSettings.apiKey;
+    showLlmProviderFields(llmSettings.provider);
+    document.getElementById('apiKeyModal').classList.add('active');
+}
+
+function showLlmProviderFields(provider) {
+    document.querySelectorAll('.llm-fields').forEach(el => {
+        el.style.display = el.dataset.provider === provider ? '' : 'none';
+    });
+    document.getElementById('llmSettingsError').textContent = '';
+}
+
+function saveLlmSettings() {
+    apiKey = document.getElementById('apiKeyInput').value.trim();
+    llmSettings = {
+        provider: document.getElementById('llmProvider').value,
+        proxyUrl: document.getElementById('llmProxyUrl').value.trim(),
+        baseUrl: document.getElementById('llmBaseUrl').value.trim(),
+        model: document.getElementById('llmModel').value.trim(),
+        apiKey: document.getElementById('llmApiKey').value.trim()
+    };
 
     if (apiKey) {
         localStorage.setItem('anthropic_api_key', apiKey);
+    } else {
+        localStorage.removeItem('anthropic_api_key');
+    }
+    localStorage.setItem('llm_settings', JSON.stringify(llmSettings));
+
+    const missing = getLlmProvider().missingField();
+    document.getElementById('llmSettingsError').textContent = missing ? `Enter the ${missing} to use ${getLlmProvider().label}` : '';
+    if (!missing) {
         document.getElementById('apiKeyModal').classList.remove('active');
 
         // Re-fetch explanations
+        cancelExplanations();
         if (currentAnalysis.length > 0) {
+            updateAnalysisDisplay();
             fetchExplanations();
         }
     }
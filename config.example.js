@@ -11,16 +11,81 @@ const CONFIG = {
         anonKey: ''   // e.g., 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...'
     },
 
+    // Cache for explanations and opening explorer responses
+    // Backends: 'indexeddb' (default), 'memory', 'supabase' (used by default
+    // when the Supabase credentials above are set) or 'rest'
+    cache: {
+        backend: '',
+        restUrl: '',      // e.g., 'https://example.com/chess-cache' for the rest backend
+        restHeaders: {},  // e.g., { Authorization: 'Bearer ...' }
+        explanationTtlDays: 0,  // Regenerate explanations older than this (0 = never)
+        legacyModel: ''   // Model that wrote explanations cached by older versions (default: claudeModel)
+    },
+
     // Anthropic API key (optional - can also be set via the UI modal)
     // Get from: https://console.anthropic.com/
     anthropicApiKey: '',
 
     // Engine settings
     engine: {
-        depth: 18,        // Analysis depth (higher = slower but more accurate)
-        multiPV: 4        // Number of candidate moves to show
+        build: 'nnue',    // 'nnue' (local WASM build) or 'legacy' (Stockfish 10 from unpkg)
+        path: 'engine/stockfish.js',                    // Multi-threaded build, used when the page is cross-origin isolated
+        singleThreadPath: 'engine/stockfish-single.js', // Single-threaded fallback
+        mode: 'depth',    // 'depth', 'infinite', 'movetime' or 'nodes'
+        depth: 18,        // Analysis depth (higher = slower but more accurate); in infinite mode, the depth recorded and explained
+        movetime: 5,      // Seconds per position in movetime mode
+        nodes: 2000,      // Thousands of nodes per position in nodes mode
+        multiPV: 4,       // Number of candidate moves to show
+        threads: 1,       // Engine threads
+        hash: 16,         // Hash table size in MB
+        gameAnalysisDepth: 14  // Depth per position for "Analyze Game"
+    },
+
+    // Board arrows
+    arrows: {
+        engineMoves: 3,   // Engine candidate moves drawn as arrows
+        pvPlies: 4        // Plies of the hovered line drawn as arrows
+    },
+
+    // Opening explorer (point at a local mock server during development)
+    explorer: {
+        baseUrl: 'https://explorer.lichess.ovh'
+    },
+
+    // Endgame tablebase (any server answering the Lichess tablebase API,
+    // e.g. a local stand-in during development)
+    tablebase: {
+        enabled: true,
+        baseUrl: 'https://tablebase.lichess.ovh',  // Queried as {baseUrl}/standard?fen=...
+        maxPieces: 7      // Probe positions with at most this many pieces
+    },
+
+    // Local opening book built from imported PGN collections
+    localBook: {
+        maxPly: 30        // Plies of each game indexed
+    },
+
+    // Following live games (point lichessUrl at a local NDJSON server during development)
+    follow: {
+        lichessUrl: 'https://lichess.org',  // Lichess game links are streamed from {lichessUrl}/api/stream/game/{id}
+        pollInterval: 5       // Seconds between fetches of a PGN source
+    },
+
+    // Play vs engine defaults
+    play: {
+        level: 4,             // Strength level 1-8 (Stockfish Skill Level 0-20)
+        timeControl: '10 + 5' // One of: Untimed, 3 + 2, 5 + 3, 10 + 5, 15 + 10, 30 + 0
+    },
+
+    // AI provider for explanations (can also be changed in the AI Settings dialog)
+    llm: {
+        provider: 'anthropic',  // 'anthropic', 'proxy' or 'openai'
+        proxyUrl: '',     // Server forwarding Anthropic Messages API requests with your key
+        baseUrl: 'http://localhost:11434/v1',  // OpenAI-compatible endpoint, e.g. Ollama or llama.cpp
+        model: '',        // e.g., 'llama3.1' for the OpenAI-compatible endpoint
+        apiKey: ''        // Only if the OpenAI-compatible endpoint needs one
     },
 
-    // Claude model for explanations
+    // Claude model for explanations (Anthropic and proxy providers)
     claudeModel: 'claude-sonnet-4-5-20250929'
 };